@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const cookie = require('cookie');
+const User = require('../model/user');
+
+const COOKIE_NAME = 'tt_session';
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+let devSecret = null;
+
+// Tokens are signed with SESSION_SECRET. Without one we fall back to a random
+// per-process secret, so every restart signs everyone out.
+function getSecret() {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+  if (!devSecret) {
+    devSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️  SESSION_SECRET is not set, using a temporary secret');
+  }
+  return devSecret;
+}
+
+function sign(value) {
+  return crypto.createHmac('sha256', getSecret()).update(value).digest('base64url');
+}
+
+// Token format: base64url(JSON payload) + '.' + HMAC signature. `ver` is the
+// user's sessionVersion, so a password reset or change can revoke the token.
+function createToken(user) {
+  const payload = Buffer.from(JSON.stringify({
+    sub: String(user._id),
+    ver: user.sessionVersion || 0,
+    exp: Date.now() + SESSION_TTL_MS
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+// Returns the token payload, or null if it is malformed, tampered with or expired
+function verifyToken(token) {
+  if (typeof token !== 'string') return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!data.sub || !data.exp || data.exp < Date.now()) return null;
+    return data;
+  } catch (error) {
+    return null;
+  }
+}
+
+function setSessionCookie(res, user) {
+  res.cookie(COOKIE_NAME, createToken(user), {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: SESSION_TTL_MS
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(COOKIE_NAME, { httpOnly: true, sameSite: 'lax' });
+}
+
+// Reads the session from the cookie (or an "Authorization: Bearer" header)
+// and sets req.userId (and req.sessionVersion). Never rejects; use requireAuth for that.
+function loadSession(req, res, next) {
+  let token = null;
+  const header = req.headers.authorization;
+
+  if (header && header.startsWith('Bearer ')) {
+    token = header.slice(7);
+  } else if (req.headers.cookie) {
+    token = cookie.parse(req.headers.cookie)[COOKIE_NAME];
+  }
+
+  const session = verifyToken(token);
+  req.userId = session ? session.sub : null;
+  req.sessionVersion = session ? session.ver || 0 : null;
+  next();
+}
+
+// Guards per-user APIs: 401 unless the request carries a valid session that
+// was signed after the user's last password reset or change
+async function requireAuth(req, res, next) {
+  if (!req.userId) {
+    return res.status(401).json({ message: 'Please sign in to continue' });
+  }
+
+  try {
+    const user = await User.findById(req.userId);
+    if (!user || (user.sessionVersion || 0) !== req.sessionVersion) {
+      clearSessionCookie(res);
+      return res.status(401).json({ message: 'Your session has expired. Please sign in again.' });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Admins are the accounts listed (by email) in the comma-separated ADMIN_EMAILS
+function isAdmin(user) {
+  const admins = String(process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean);
+  return Boolean(user && admins.includes(String(user.email).toLowerCase()));
+}
+
+// Guards admin APIs: 401 without a session, 403 for everyone not in ADMIN_EMAILS
+function requireAdmin(req, res, next) {
+  requireAuth(req, res, (error) => {
+    if (error) return next(error);
+    if (!isAdmin(req.user)) return res.status(403).json({ message: 'Admin access required' });
+    next();
+  });
+}
+
+module.exports = {
+  createToken,
+  verifyToken,
+  setSessionCookie,
+  clearSessionCookie,
+  loadSession,
+  requireAuth,
+  isAdmin,
+  requireAdmin
+};
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../model/user');
+const { createToken, verifyToken, loadSession, requireAuth } = require('./auth');
+
+process.env.SESSION_SECRET = 'test-secret';
+
+// Runs loadSession + requireAuth for a request carrying `token`, with
+// User.findById answering `user`; resolves to the status code (200 when let through)
+async function authorize(token, user) {
+  const original = User.findById;
+  User.findById = async () => user;
+  try {
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    let status = 200;
+    const res = {
+      status(code) { status = code; return this; },
+      json() { return this; },
+      clearCookie() {}
+    };
+    loadSession(req, res, () => {});
+    await requireAuth(req, res, () => {});
+    return status;
+  } finally {
+    User.findById = original;
+  }
+}
+
+test('session tokens carry the user id and session version', () => {
+  const user = new User({ username: 'ana', email: 'ana@example.com', password: 'secret1' });
+  const session = verifyToken(createToken(user));
+  assert.equal(session.sub, String(user._id));
+  assert.equal(session.ver, 0);
+});
+
+test('tampered tokens are rejected', () => {
+  const user = new User({ username: 'ana', email: 'ana@example.com', password: 'secret1' });
+  const [payload, signature] = createToken(user).split('.');
+  const forged = Buffer.from(JSON.stringify({ sub: 'someone-else', ver: 0, exp: Date.now() + 1000 })).toString('base64url');
+  assert.equal(verifyToken(`${forged}.${signature}`), null);
+  assert.ok(verifyToken(`${payload}.${signature}`));
+});
+
+test('ending sessions revokes tokens signed before it', async () => {
+  const user = new User({ username: 'ana', email: 'ana@example.com', password: 'secret1' });
+  const stolen = createToken(user);
+  assert.equal(await authorize(stolen, user), 200);
+
+  user.endSessions(); // password reset or change
+  assert.equal(await authorize(stolen, user), 401);
+  assert.equal(await authorize(createToken(user), user), 200);
+});
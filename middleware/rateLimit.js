@@ -0,0 +1,64 @@
+// -------------------- Rate limiting --------------------
+// Fixed-window counters kept in process memory. That is enough for a single
+// server; several instances would each count separately.
+
+const buckets = new Map(); // "name:key" -> { count, resetAt }
+
+// Drop expired windows now and then so the map does not grow forever
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, bucket] of buckets) {
+    if (bucket.resetAt <= now) buckets.delete(key);
+  }
+}, 60 * 1000).unref();
+
+/**
+ * Build a limiter allowing `max` requests per `windowMs` for each key.
+ * Over the limit it answers 429 with a Retry-After header and `{ message }`.
+ *
+ * @param {object} options
+ * @param {string} options.name - separates counters of different limiters
+ * @param {number} options.windowMs
+ * @param {number} options.max
+ * @param {(req) => string|null} [options.keyFor] - defaults to the client IP;
+ *   returning null skips the limit for that request
+ * @param {string} [options.message]
+ */
+function rateLimit({ name, windowMs, max, keyFor = (req) => req.ip, message }) {
+  return (req, res, next) => {
+    const key = keyFor(req);
+    if (!key) return next();
+
+    const now = Date.now();
+    const id = `${name}:${key}`;
+    let bucket = buckets.get(id);
+    if (!bucket || bucket.resetAt <= now) {
+      bucket = { count: 0, resetAt: now + windowMs };
+      buckets.set(id, bucket);
+    }
+    bucket.count++;
+
+    const retryAfter = Math.ceil((bucket.resetAt - now) / 1000);
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - bucket.count)));
+    res.set('RateLimit-Reset', String(retryAfter));
+
+    if (bucket.count > max) {
+      res.set('Retry-After', String(retryAfter));
+      const minutes = Math.ceil(retryAfter / 60);
+      return res.status(429).json({
+        message: message || `Too many requests. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`
+      });
+    }
+    next();
+  };
+}
+
+// Key helpers for per-account limits
+const byUser = (req) => (req.userId ? `user:${req.userId}` : null);
+const byEmail = (req) => {
+  const email = req.body && typeof req.body.email === 'string' ? req.body.email.toLowerCase().trim() : '';
+  return email ? `email:${email}` : null;
+};
+
+module.exports = { rateLimit, byUser, byEmail };
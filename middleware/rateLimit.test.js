@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rateLimit, byUser, byEmail } = require('./rateLimit');
+
+// Runs the limiter for a request; resolves to { passed, status, headers, body }
+function hit(limiter, req) {
+  const result = { passed: false, status: 200, headers: {}, body: null };
+  const res = {
+    set(name, value) { result.headers[name] = value; return this; },
+    status(code) { result.status = code; return this; },
+    json(body) { result.body = body; return this; }
+  };
+  limiter({ ip: '203.0.113.7', body: {}, ...req }, res, () => { result.passed = true; });
+  return result;
+}
+
+test('allows max requests per window, then answers 429 until the window ends', (t) => {
+  let now = Date.parse('2025-06-01T10:00:00Z');
+  t.mock.method(Date, 'now', () => now);
+  const limiter = rateLimit({ name: 'test-window', windowMs: 15 * 60 * 1000, max: 3 });
+
+  for (let i = 0; i < 3; i++) assert.equal(hit(limiter, {}).passed, true);
+  assert.equal(hit(limiter, {}).headers['RateLimit-Remaining'], '0');
+
+  now += 5 * 60 * 1000;
+  const blocked = hit(limiter, {});
+  assert.equal(blocked.passed, false);
+  assert.equal(blocked.status, 429);
+  assert.equal(blocked.headers['Retry-After'], '600');
+  assert.deepEqual(blocked.body, { message: 'Too many requests. Please try again in 10 minutes.' });
+
+  now += 10 * 60 * 1000; // the window started at the first request
+  const fresh = hit(limiter, {});
+  assert.equal(fresh.passed, true);
+  assert.equal(fresh.headers['RateLimit-Remaining'], '2');
+});
+
+test('counts each key and each limiter separately', () => {
+  const limiter = rateLimit({ name: 'test-keys', windowMs: 60 * 1000, max: 1, message: 'Slow down' });
+  const other = rateLimit({ name: 'test-keys-other', windowMs: 60 * 1000, max: 1 });
+
+  assert.equal(hit(limiter, { ip: '198.51.100.1' }).passed, true);
+  assert.deepEqual(hit(limiter, { ip: '198.51.100.1' }).body, { message: 'Slow down' });
+  assert.equal(hit(limiter, { ip: '198.51.100.2' }).passed, true);
+  assert.equal(hit(other, { ip: '198.51.100.1' }).passed, true);
+});
+
+test('account keys: a null key skips the limit', () => {
+  const limiter = rateLimit({ name: 'test-account', windowMs: 60 * 1000, max: 1, keyFor: byUser });
+  assert.equal(hit(limiter, { userId: null }).passed, true);
+  assert.equal(hit(limiter, { userId: null }).passed, true);
+  assert.equal(hit(limiter, { userId: 'u1' }).passed, true);
+  assert.equal(hit(limiter, { userId: 'u1' }).status, 429);
+
+  assert.equal(byEmail({ body: { email: ' Ana@Example.com ' } }), 'email:ana@example.com');
+  assert.equal(byEmail({ body: { email: ['ana@example.com'] } }), null);
+  assert.equal(byEmail({}), null);
+});
@@ -0,0 +1,90 @@
+// -------------------- Request validation --------------------
+// A small schema check for JSON bodies, run before a route touches the
+// database or the LLM. Rules per field:
+//
+//   type:     'string' | 'number' | 'integer' | 'boolean' | 'list' | 'object'
+//             ('list' is a string or an array of strings; numbers may arrive as numeric strings)
+//   required: true to reject a missing/empty value
+//   min, max: length for strings and list items, value for numbers
+//   maxItems: longest accepted list
+//   pattern:  RegExp a string (or each list item) must match
+//   label:    name used in messages (defaults to the field name)
+//
+// Failures answer 400 { message, errors: [{ field, message }] }; `message` is
+// the first error so pages can show it as-is.
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function checkString(value, rule, label) {
+  if (typeof value !== 'string') return `${label} must be text`;
+  const text = value.trim();
+  if (rule.min !== undefined && text.length < rule.min) return `${label} must be at least ${rule.min} characters`;
+  if (rule.max !== undefined && text.length > rule.max) return `${label} must be at most ${rule.max} characters`;
+  if (rule.pattern && !rule.pattern.test(text)) return rule.message || `${label} contains characters that are not allowed`;
+  return null;
+}
+
+function checkNumber(value, rule, label) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number)) return `${label} must be a number`;
+  if (rule.type === 'integer' && !Number.isInteger(number)) return `${label} must be a whole number`;
+  if (rule.min !== undefined && number < rule.min) return `${label} must be at least ${rule.min}`;
+  if (rule.max !== undefined && number > rule.max) return `${label} must be at most ${rule.max}`;
+  return null;
+}
+
+function checkList(value, rule, label) {
+  const items = Array.isArray(value) ? value : [value];
+  if (rule.maxItems !== undefined && items.length > rule.maxItems) {
+    return `${label} can have at most ${rule.maxItems} entries`;
+  }
+  for (const item of items) {
+    const error = checkString(item, { ...rule, min: undefined }, label);
+    if (error) return error === `${label} must be text` ? `${label} must be a list of text values` : error;
+  }
+  return null;
+}
+
+function checkField(value, rule, label) {
+  switch (rule.type) {
+    case 'string': return checkString(value, rule, label);
+    case 'number':
+    case 'integer': return checkNumber(value, rule, label);
+    case 'boolean': return typeof value === 'boolean' || value === 'true' || value === 'false' ? null : `${label} must be true or false`;
+    case 'list': return checkList(value, rule, label);
+    case 'object': return value && typeof value === 'object' && !Array.isArray(value) ? null : `${label} is invalid`;
+    default: throw new Error(`Unknown validation type: ${rule.type}`);
+  }
+}
+
+// Returns [{ field, message }] for `body` against `schema`
+function validateBody(body, schema) {
+  const errors = [];
+  const source = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const label = rule.label || field;
+    const value = source[field];
+    if (isEmpty(value) || (typeof value === 'string' && !value.trim())) {
+      if (rule.required) errors.push({ field, message: rule.requiredMessage || `${label} is required` });
+      return;
+    }
+    const message = checkField(value, rule, label);
+    if (message) errors.push({ field, message });
+  });
+
+  return errors;
+}
+
+// Express middleware for a body schema
+function validate(schema) {
+  return (req, res, next) => {
+    const errors = validateBody(req.body, schema);
+    if (errors.length === 0) return next();
+    res.status(400).json({ message: errors[0].message, errors });
+  };
+}
+
+module.exports = { validate, validateBody };
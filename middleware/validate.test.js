@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, validateBody } = require('./validate');
+
+const schema = {
+  city: { type: 'string', required: true, requiredMessage: 'Please enter a city', label: 'City', max: 10, pattern: /^[A-Za-z ]+$/ },
+  days: { type: 'integer', label: 'Days', min: 1, max: 60 },
+  vibes: { type: 'list', label: 'Vibes', maxItems: 2, max: 20 },
+  indoor: { type: 'boolean', label: 'Indoor' },
+  preferences: { type: 'object', label: 'Preferences' }
+};
+
+test('accepts valid bodies, numeric strings and missing optional fields', () => {
+  assert.deepEqual(validateBody({ city: 'Goa' }, schema), []);
+  assert.deepEqual(validateBody({ city: 'Goa', days: '3', vibes: ['beach', 'food'], indoor: 'true', preferences: {} }, schema), []);
+  assert.deepEqual(validateBody({ city: 'Goa', vibes: 'beach' }, schema), []);
+});
+
+test('reports every failing field with its rule', () => {
+  assert.deepEqual(validateBody({ city: '  ', days: 2.5, vibes: ['a', 'b', 'c'], indoor: 'yes', preferences: [] }, schema), [
+    { field: 'city', message: 'Please enter a city' },
+    { field: 'days', message: 'Days must be a whole number' },
+    { field: 'vibes', message: 'Vibes can have at most 2 entries' },
+    { field: 'indoor', message: 'Indoor must be true or false' },
+    { field: 'preferences', message: 'Preferences is invalid' }
+  ]);
+  assert.deepEqual(validateBody({ city: 'North Goa Beaches' }, schema), [{ field: 'city', message: 'City must be at most 10 characters' }]);
+  assert.deepEqual(validateBody({ city: 'Goa!' }, schema), [{ field: 'city', message: 'City contains characters that are not allowed' }]);
+  assert.deepEqual(validateBody({ city: { $ne: '' } }, schema), [{ field: 'city', message: 'City must be text' }]);
+  assert.deepEqual(validateBody({ city: 'Goa', days: 61, vibes: [1] }, schema), [
+    { field: 'days', message: 'Days must be at most 60' },
+    { field: 'vibes', message: 'Vibes must be a list of text values' }
+  ]);
+  assert.deepEqual(validateBody(null, schema), [{ field: 'city', message: 'Please enter a city' }]);
+});
+
+test('the middleware answers 400 with the first message before the route runs', () => {
+  let status = 200;
+  let body = null;
+  let reached = false;
+  const res = {
+    status(code) { status = code; return this; },
+    json(value) { body = value; return this; }
+  };
+
+  validate(schema)({ body: { days: 0 } }, res, () => { reached = true; });
+  assert.equal(reached, false);
+  assert.equal(status, 400);
+  assert.equal(body.message, 'Please enter a city');
+  assert.deepEqual(body.errors.map((error) => error.field), ['city', 'days']);
+
+  validate(schema)({ body: { city: 'Goa' } }, res, () => { reached = true; });
+  assert.equal(reached, true);
+});
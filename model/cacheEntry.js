@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// One cached recommendation response (services/cache/mongo.js).
+// MongoDB's TTL monitor removes the document once expiresAt has passed.
+const cacheEntrySchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  value: { type: mongoose.Schema.Types.Mixed, required: true },
+  storedAt: { type: Date, required: true },
+  expiresAt: { type: Date, required: true }
+});
+
+cacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('CacheEntry', cacheEntrySchema);
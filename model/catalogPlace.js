@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// A curated place in the offline destination catalog (services/catalog/),
+// loaded by seed-catalog.js and used when the LLM provider is unavailable.
+// `cityKeys` holds the slugs of the city name and its aliases.
+const catalogPlaceSchema = new mongoose.Schema({
+  placeId: { type: String, required: true },
+  name: { type: String, required: true, trim: true, maxlength: 120 },
+  description: { type: String, default: '', maxlength: 500 },
+  city: { type: String, required: true, trim: true },
+  cityKeys: [{ type: String }],
+  latitude: { type: Number, default: null },
+  longitude: { type: Number, default: null },
+  category: { type: String, default: 'General' },
+  vibes: [{ type: String }],
+  durationMinutes: { type: Number, default: null, min: 0 },
+  photos: [{ type: String, match: [/^https?:\/\//i, 'Photos must be http(s) URLs'] }],
+  rating: { type: Number, default: null, min: 0, max: 5 },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+catalogPlaceSchema.index({ placeId: 1 }, { unique: true });
+catalogPlaceSchema.index({ cityKeys: 1 });
+
+module.exports = mongoose.model('CatalogPlace', catalogPlaceSchema);
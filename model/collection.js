@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const savedPlaceSchema = require('./savedPlace');
+
+const DEFAULT_COLLECTION = 'Favorites';
+const MAX_PLACES = 200;
+
+// A named list of bookmarked places ("Favorites", "Goa 2025", ...)
+const collectionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: 1,
+    maxlength: 60
+  },
+  places: {
+    type: [savedPlaceSchema],
+    validate: {
+      validator: (places) => places.length <= MAX_PLACES,
+      message: `A collection can hold at most ${MAX_PLACES} places`
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true, versionKey: false }
+});
+
+collectionSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+// The collection the Bookmark button saves into, created on first use
+collectionSchema.statics.findOrCreateDefault = async function(owner) {
+  return this.findOneAndUpdate(
+    { owner, name: DEFAULT_COLLECTION },
+    { $setOnInsert: { owner, name: DEFAULT_COLLECTION, places: [] } },
+    { new: true, upsert: true }
+  );
+};
+
+// Adds a place unless it is already in the collection; returns true if added
+collectionSchema.methods.addPlace = function(place) {
+  if (this.places.some((existing) => existing.placeId === place.placeId)) return false;
+  this.places.push(place);
+  return true;
+};
+
+collectionSchema.statics.DEFAULT_COLLECTION = DEFAULT_COLLECTION;
+collectionSchema.statics.MAX_PLACES = MAX_PLACES;
+
+module.exports = mongoose.model('Collection', collectionSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const MAX_TAGS = 5;
+
+// A user's rating and tips for one place, keyed by the normalized place id
+// (services/place.js placeId) so reviews follow a place across trips and cities
+const reviewSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  placeId: {
+    type: String,
+    required: [true, 'A place is required'],
+    index: true
+  },
+  placeName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  city: {
+    type: String,
+    trim: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5']
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Review must be at most 2000 characters']
+  },
+  // Free-form, lowercased: "hidden gem", "family friendly", ...
+  tags: {
+    type: [{ type: String, trim: true, lowercase: true, maxlength: 30 }],
+    validate: {
+      validator: (tags) => tags.length <= MAX_TAGS,
+      message: `At most ${MAX_TAGS} tags are allowed`
+    }
+  },
+  helpful: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true, versionKey: false }
+});
+
+// One review per user per place; edit it instead of posting another
+reviewSchema.index({ author: 1, placeId: 1 }, { unique: true });
+
+reviewSchema.virtual('helpfulCount').get(function() {
+  return this.helpful ? this.helpful.length : 0;
+});
+
+// Public shape: voter ids are replaced by a count and the caller's own vote
+reviewSchema.methods.toPublicJSON = function(viewerId) {
+  const json = this.toJSON();
+  const author = this.populated('author') ? this.author : null;
+  json.author = author ? { id: author.id, username: author.username } : { id: String(this.author) };
+  json.votedHelpful = Boolean(viewerId) && this.helpful.some((id) => id.equals(viewerId));
+  json.mine = Boolean(viewerId) && (author ? author._id : this.author).equals(viewerId);
+  delete json.helpful;
+  return json;
+};
+
+// { placeId -> { average, count } } for the given place ids
+reviewSchema.statics.ratingSummaries = async function(placeIds) {
+  const rows = await this.aggregate([
+    { $match: { placeId: { $in: placeIds } } },
+    { $group: { _id: '$placeId', average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  return new Map(rows.map((row) => [
+    row._id,
+    { average: Math.round(row.average * 10) / 10, count: row.count }
+  ]));
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
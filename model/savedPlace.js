@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A place stored on a trip day or in a favorites collection.
+// Same fields as the Place schema in services/place.js, with `id` kept as `placeId`.
+const savedPlaceSchema = new mongoose.Schema({
+  placeId: { type: String, required: true },
+  name: { type: String, required: true, trim: true, maxlength: 120 },
+  description: { type: String, default: '', maxlength: 500 },
+  city: { type: String, default: '' },
+  latitude: { type: Number, default: null },
+  longitude: { type: Number, default: null },
+  distance: { type: Number, default: null },
+  rating: { type: Number, default: null },
+  fare: { type: Number, default: null },
+  category: { type: String, default: 'General' },
+  vibes: [{ type: String }],
+  durationMinutes: { type: Number, default: null },
+  photos: [{ type: String }],
+  // Estimated by services/cost.js in the trip currency when saved on a trip
+  cost: {
+    entryFee: { type: Number, min: 0 },
+    food: { type: Number, min: 0 },
+    transport: { type: Number, min: 0 },
+    total: { type: Number, min: 0 }
+  },
+  mapUrl: { type: String, default: '' },
+  source: { type: String, default: 'unknown' },
+  // Itinerary details, set from the End Day view
+  time: { type: String, default: '', match: [/^$|^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be HH:MM'] },
+  note: { type: String, default: '', maxlength: 500 },
+  addedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+module.exports = savedPlaceSchema;
@@ -0,0 +1,282 @@
+const mongoose = require('mongoose');
+const savedPlaceSchema = require('./savedPlace');
+const User = require('./user');
+
+const MAX_TRIP_DAYS = 60;
+const MAX_PENDING_INVITES = 20;
+
+// Owner > editor (plans days) > viewer (reads and votes)
+const MEMBER_ROLES = ['editor', 'viewer'];
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+const memberSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  role: {
+    type: String,
+    enum: { values: MEMBER_ROLES, message: 'Role must be editor or viewer' },
+    default: 'viewer'
+  },
+  addedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// An invitation waiting for the invitee to accept it. It names a username or
+// a (lowercased) email, whether or not such an account exists yet.
+const inviteSchema = new mongoose.Schema({
+  identifier: { type: String, required: true, trim: true, maxlength: 254 },
+  role: {
+    type: String,
+    enum: { values: MEMBER_ROLES, message: 'Role must be editor or viewer' },
+    default: 'viewer'
+  },
+  invitedAt: { type: Date, default: Date.now }
+});
+
+// A place proposed for a day that members vote on before it is planned
+const candidateSchema = new mongoose.Schema({
+  place: { type: savedPlaceSchema, required: true },
+  proposedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  votes: [{
+    _id: false,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    value: { type: Number, enum: [1, -1], required: true }
+  }],
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false, toJSON: { virtuals: true } });
+
+candidateSchema.virtual('score').get(function() {
+  return this.votes.reduce((sum, vote) => sum + vote.value, 0);
+});
+
+// 1 = upvote, -1 = downvote, 0 = take the vote back
+candidateSchema.methods.setVote = function(userId, value) {
+  this.votes = this.votes.filter((vote) => !vote.user.equals(userId));
+  if (value) this.votes.push({ user: userId, value });
+};
+
+const daySchema = new mongoose.Schema({
+  dayNumber: { type: Number, required: true, min: 1 },
+  date: { type: Date, required: true },
+  places: [savedPlaceSchema],
+  candidates: [candidateSchema],
+  notes: { type: String, default: '', maxlength: 2000 },
+  status: {
+    type: String,
+    enum: ['planned', 'completed'],
+    default: 'planned'
+  }
+}, { _id: false });
+
+const tripSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  city: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, required: true },
+  // Where each day starts (usually the hotel); routes start from the city center without it
+  startPoint: {
+    name: { type: String, trim: true, maxlength: 120 },
+    latitude: { type: Number, min: -90, max: 90 },
+    longitude: { type: Number, min: -180, max: 180 }
+  },
+  // Amounts on the trip (budget, place costs) are in this currency;
+  // new trips take it from the owner's profile
+  currency: {
+    type: String,
+    enum: { values: User.CURRENCIES, message: 'Unsupported currency' },
+    default: 'INR'
+  },
+  budget: { type: Number, min: [0, 'Budget cannot be negative'], default: null },
+  // Co-travelers who accepted the owner's invitation, and those who have not yet
+  members: [memberSchema],
+  invites: {
+    type: [inviteSchema],
+    validate: {
+      validator: (invites) => invites.length <= MAX_PENDING_INVITES,
+      message: `A trip can have at most ${MAX_PENDING_INVITES} pending invitations`
+    }
+  },
+  // Secret for the read-only share link; only the owner ever sees it
+  shareToken: { type: String, index: { unique: true, sparse: true } },
+  // Goes up by one on every change planners see; they resync when they miss one
+  version: { type: Number, default: 0 },
+  days: [daySchema]
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    versionKey: false,
+    transform: (doc, ret) => {
+      // Only the owner sees these, through their own endpoints
+      delete ret.shareToken;
+      delete ret.invites;
+      return ret;
+    }
+  }
+});
+
+tripSchema.index({ 'members.user': 1 });
+tripSchema.index({ 'invites.identifier': 1 });
+
+// Fields planners do not show, so changing them needs no live update
+const UNSYNCED_PATHS = ['shareToken', 'invites', 'updatedAt'];
+
+// `version` counts the changes planners are told about (every save that
+// routes/trips.js broadcasts). $inc keeps concurrent saves from landing on
+// the same version.
+tripSchema.pre('save', function(next) {
+  const synced = this.modifiedPaths().some((path) => !UNSYNCED_PATHS.includes(path.split('.')[0]));
+  if (!this.isNew && synced) this.$inc('version', 1);
+  next();
+});
+
+tripSchema.path('endDate').validate(function(value) {
+  return !this.startDate || value >= this.startDate;
+}, 'End date must be on or after the start date');
+
+tripSchema.path('days').validate(function(days) {
+  return days.length <= MAX_TRIP_DAYS;
+}, `A trip can be at most ${MAX_TRIP_DAYS} days long`);
+
+// One day entry per calendar date from start to end (inclusive).
+// Existing days keep their places, notes and status when dates change.
+tripSchema.methods.syncDays = function() {
+  const existing = new Map(this.days.map((day) => [day.dayNumber, day]));
+  const days = [];
+  let dayNumber = 1;
+
+  for (let d = new Date(this.startDate); d <= this.endDate && dayNumber <= MAX_TRIP_DAYS + 1; d.setUTCDate(d.getUTCDate() + 1)) {
+    const previous = existing.get(dayNumber);
+    days.push({
+      dayNumber,
+      date: new Date(d),
+      places: previous ? previous.places : [],
+      candidates: previous ? previous.candidates : [],
+      notes: previous ? previous.notes : '',
+      status: previous ? previous.status : 'planned'
+    });
+    dayNumber++;
+  }
+
+  this.days = days;
+};
+
+tripSchema.methods.getDay = function(dayNumber) {
+  return this.days.find((day) => day.dayNumber === Number(dayNumber));
+};
+
+// 'owner', 'editor', 'viewer', or null when the user is not on the trip
+tripSchema.methods.roleOf = function(userId) {
+  if (!userId) return null;
+  if (this.owner.equals(userId)) return 'owner';
+  const member = this.members.find((entry) => entry.user.equals(userId));
+  return member ? member.role : null;
+};
+
+// True when the user's role is at least `role`
+tripSchema.methods.allows = function(userId, role) {
+  const current = this.roleOf(userId);
+  return Boolean(current) && ROLE_RANK[current] >= ROLE_RANK[role];
+};
+
+// Query filter for every trip the user owns or was invited to
+tripSchema.statics.accessibleBy = function(userId) {
+  return { $or: [{ owner: userId }, { 'members.user': userId }] };
+};
+
+// How invitations name this user: their username, and their email once it
+// is verified (anyone can sign up with an address they do not own)
+function inviteIdentifiers(user) {
+  return [user.username].concat(user.emailVerified ? [user.email] : []);
+}
+
+// Query filter for trips with an invitation waiting for the user
+tripSchema.statics.invitedFilter = function(user) {
+  return { 'invites.identifier': { $in: inviteIdentifiers(user) } };
+};
+
+// The invitation on this trip that names the user, or undefined
+tripSchema.methods.inviteFor = function(user) {
+  const identifiers = inviteIdentifiers(user);
+  return this.invites.find((invite) => identifiers.includes(invite.identifier));
+};
+
+tripSchema.statics.MEMBER_ROLES = MEMBER_ROLES;
+
+// Names of every place picked on any day, for recommendation de-duplication
+tripSchema.methods.placeNames = function() {
+  return this.days.flatMap((day) => day.places.map((place) => place.name));
+};
+
+// Running totals of the estimated place costs, per day and for the trip
+tripSchema.virtual('costs').get(function() {
+  const days = this.days.map((day) => ({
+    dayNumber: day.dayNumber,
+    total: day.places.reduce((sum, place) => sum + ((place.cost && place.cost.total) || 0), 0)
+  }));
+  const total = days.reduce((sum, day) => sum + day.total, 0);
+  const hasBudget = this.budget !== null && this.budget !== undefined;
+  return {
+    currency: this.currency,
+    budget: hasBudget ? this.budget : null,
+    total,
+    remaining: hasBudget ? this.budget - total : null,
+    overBudget: hasBudget && total > this.budget,
+    days
+  };
+});
+
+// What a share link shows: the plan without members, votes or costs
+tripSchema.methods.toSharedJSON = function() {
+  return {
+    title: this.title || `${this.city} trip`,
+    city: this.city,
+    startDate: this.startDate,
+    endDate: this.endDate,
+    days: this.days.map((day) => ({
+      dayNumber: day.dayNumber,
+      date: day.date,
+      status: day.status,
+      notes: day.notes,
+      places: day.places.map((place) => {
+        const { cost, ...rest } = place.toObject();
+        return rest;
+      })
+    }))
+  };
+};
+
+// Lightweight shape for trip lists, with the given user's role
+tripSchema.methods.toSummaryJSON = function(userId) {
+  return {
+    id: this._id,
+    role: this.roleOf(userId),
+    memberCount: this.members.length,
+    title: this.title || `${this.city} trip`,
+    city: this.city,
+    startDate: this.startDate,
+    endDate: this.endDate,
+    dayCount: this.days.length,
+    placeCount: this.days.reduce((sum, day) => sum + day.places.length, 0),
+    currency: this.currency,
+    budget: this.budget,
+    total: this.costs.total,
+    updatedAt: this.updatedAt,
+    version: this.version
+  };
+};
+
+module.exports = mongoose.model('Trip', tripSchema);
@@ -0,0 +1,19 @@
+// Trip dates are stored as UTC midnights; run in a zone with a DST change
+// inside the trip so stepping by local days would drift off midnight
+process.env.TZ = 'America/New_York';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Trip = require('./trip');
+
+test('syncDays gives one UTC-midnight date per day across a DST change', () => {
+  const trip = new Trip({ startDate: new Date('2025-03-08'), endDate: new Date('2025-03-11') });
+  trip.syncDays();
+  assert.deepEqual(trip.days.map((day) => day.date.toISOString()), [
+    '2025-03-08T00:00:00.000Z',
+    '2025-03-09T00:00:00.000Z',
+    '2025-03-10T00:00:00.000Z',
+    '2025-03-11T00:00:00.000Z'
+  ]);
+  assert.deepEqual(trip.days.map((day) => day.dayNumber), [1, 2, 3, 4]);
+});
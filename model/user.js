@@ -1,6 +1,27 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 
+const CURRENCIES = ['INR', 'USD', 'EUR', 'GBP', 'AUD', 'CAD', 'SGD', 'AED', 'JPY'];
+const PACES = ['relaxed', 'balanced', 'packed'];
+const MAX_VIBES = 8;
+
+// Emailed tokens: only their SHA-256 is stored, and each is cleared once used
+const TOKEN_TTL_MS = {
+  verify: 24 * 60 * 60 * 1000,
+  reset: 60 * 60 * 1000
+};
+
+// Failed sign-ins before the account locks, then how long it stays locked:
+// 1 minute, doubling with each further failure, up to an hour
+const LOCK_AFTER_FAILURES = 5;
+const LOCK_BASE_MS = 60 * 1000;
+const LOCK_MAX_MS = 60 * 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
 const userSchema = new mongoose.Schema({
   username: { 
     type: String, 
@@ -21,11 +42,70 @@ const userSchema = new mongoose.Schema({
   password: { 
     type: String, 
     required: true,
-    minlength: 6
+    minlength: [6, 'Password must be at least 6 characters']
   },
   createdAt: {
     type: Date,
     default: Date.now
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  verifyTokenHash: { type: String, index: { sparse: true } },
+  verifyTokenExpires: Date,
+  resetTokenHash: { type: String, index: { sparse: true } },
+  resetTokenExpires: Date,
+  failedLogins: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  // Copied into every session token; bumping it signs out all existing sessions
+  sessionVersion: {
+    type: Number,
+    default: 0
+  },
+  displayName: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Display name must be at most 50 characters']
+  },
+  avatarUrl: {
+    type: String,
+    trim: true,
+    match: [/^https?:\/\/\S+$/i, 'Avatar must be an http(s) image URL']
+  },
+  homeCity: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  // Defaults for the planner and the Places Suggestion page
+  preferences: {
+    currency: {
+      type: String,
+      enum: { values: CURRENCIES, message: 'Unsupported currency' },
+      default: 'INR'
+    },
+    vibes: {
+      type: [{ type: String, trim: true, maxlength: 30 }],
+      validate: {
+        validator: (vibes) => vibes.length <= MAX_VIBES,
+        message: `Pick at most ${MAX_VIBES} vibes`
+      }
+    },
+    pace: {
+      type: String,
+      enum: { values: PACES, message: 'Travel pace must be relaxed, balanced or packed' },
+      default: 'balanced'
+    },
+    radius: {
+      type: Number,
+      min: [1, 'Radius must be between 1 and 50 km'],
+      max: [50, 'Radius must be between 1 and 50 km'],
+      default: 10
+    }
   }
 });
 
@@ -47,4 +127,94 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Milliseconds left on a sign-in lockout (0 when not locked)
+userSchema.methods.lockRemainingMs = function() {
+  return this.lockUntil ? Math.max(0, this.lockUntil.getTime() - Date.now()) : 0;
+};
+
+userSchema.methods.lockoutMessage = function() {
+  const minutes = Math.ceil(this.lockRemainingMs() / 60000);
+  return `Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+};
+
+// Counts a wrong password, at sign-in or when changing it on the profile page.
+// Writes straight to the database ($inc), not to this document, so parallel
+// wrong guesses are all counted; the lock only ever moves later ($max).
+userSchema.methods.registerFailedLogin = async function() {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLogins: 1 } },
+    { new: true, projection: { failedLogins: 1 } }
+  );
+  if (!updated || updated.failedLogins < LOCK_AFTER_FAILURES) return;
+
+  const backoff = LOCK_BASE_MS * 2 ** (updated.failedLogins - LOCK_AFTER_FAILURES);
+  const lockUntil = new Date(Date.now() + Math.min(backoff, LOCK_MAX_MS));
+  await this.constructor.updateOne({ _id: this._id }, { $max: { lockUntil } });
+};
+
+userSchema.methods.resetFailedLogins = function() {
+  this.failedLogins = 0;
+  this.lockUntil = undefined;
+};
+
+// After a password reset or change: sessions signed before it stop working
+userSchema.methods.endSessions = function() {
+  this.sessionVersion = (this.sessionVersion || 0) + 1;
+};
+
+// Issue a new "verify" or "reset" token; returns the raw token for the email.
+// A new token replaces any earlier one of the same kind.
+userSchema.methods.createToken = function(kind) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this[`${kind}TokenHash`] = hashToken(token);
+  this[`${kind}TokenExpires`] = new Date(Date.now() + TOKEN_TTL_MS[kind]);
+  return token;
+};
+
+userSchema.methods.clearToken = function(kind) {
+  this[`${kind}TokenHash`] = undefined;
+  this[`${kind}TokenExpires`] = undefined;
+};
+
+// The user holding an unexpired token of this kind, or null
+userSchema.statics.findByToken = function(kind, token) {
+  if (!token || !TOKEN_TTL_MS[kind]) return Promise.resolve(null);
+  return this.findOne({
+    [`${kind}TokenHash`]: hashToken(token),
+    [`${kind}TokenExpires`]: { $gt: new Date() }
+  });
+};
+
+// Fields that are safe to send back to the client
+userSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    username: this.username,
+    displayName: this.displayName || '',
+    avatarUrl: this.avatarUrl || '',
+    email: this.email,
+    createdAt: this.createdAt
+  };
+};
+
+// The signed-in user's own view: public fields plus home city and preferences
+userSchema.methods.toProfileJSON = function() {
+  const prefs = this.preferences || {};
+  return {
+    ...this.toPublicJSON(),
+    emailVerified: this.emailVerified,
+    homeCity: this.homeCity || '',
+    preferences: {
+      currency: prefs.currency,
+      vibes: prefs.vibes ? prefs.vibes.slice() : [],
+      pace: prefs.pace,
+      radius: prefs.radius
+    }
+  };
+};
+
+userSchema.statics.CURRENCIES = CURRENCIES;
+userSchema.statics.PACES = PACES;
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,27 @@
+// -------------------- Bookmarks --------------------
+// Shared by the planner and the Places Suggestion page (needs js/session.js)
+
+// Saves a place into the default "Favorites" collection; resolves to the server message
+async function bookmarkPlace(place) {
+  const res = await apiFetch("/api/favorites/bookmark", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ place }),
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.message || "Could not bookmark place");
+  return data.message;
+}
+
+// Names of every bookmarked place, optionally limited to one city
+async function getBookmarkedNames(city) {
+  const res = await apiFetch("/api/favorites");
+  if (!res.ok) return [];
+  const { collections } = await res.json();
+  const wanted = city ? city.toLowerCase() : null;
+
+  return collections
+    .flatMap((collection) => collection.places)
+    .filter((place) => !wanted || (place.city || "").toLowerCase() === wanted)
+    .map((place) => place.name);
+}
@@ -0,0 +1,25 @@
+// -------------------- Money --------------------
+// Place costs come from the server (services/cost.js) as
+// { entryFee, food, transport, total } in the trip's or profile's currency.
+
+function formatMoney(amount, currency = "INR") {
+  try {
+    return new Intl.NumberFormat(undefined, { style: "currency", currency, maximumFractionDigits: 0 }).format(amount);
+  } catch (err) {
+    return `${amount} ${currency}`;
+  }
+}
+
+// "entry ₹300 · food/activity ₹300 · transport ₹95"
+function formatCostBreakdown(cost, currency) {
+  return [
+    `entry ${formatMoney(cost.entryFee, currency)}`,
+    `food/activity ${formatMoney(cost.food, currency)}`,
+    `transport ${formatMoney(cost.transport, currency)}`,
+  ].join(" · ");
+}
+
+// Sum of the estimated costs of a list of places
+function placesTotal(places) {
+  return (places || []).reduce((sum, place) => sum + ((place.cost && place.cost.total) || 0), 0);
+}
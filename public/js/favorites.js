@@ -0,0 +1,169 @@
+// -------------------- DOM Elements --------------------
+const collectionsContainer = document.getElementById("collections");
+const newCollectionForm = document.getElementById("newCollectionForm");
+
+const jsonHeaders = { "Content-Type": "application/json" };
+
+// -------------------- Load --------------------
+async function loadCollections() {
+  try {
+    const res = await apiFetch("/api/favorites");
+    const { collections } = await res.json();
+    renderCollections(collections);
+  } catch (err) {
+    console.error("Error loading collections:", err);
+    collectionsContainer.innerHTML = `<p class="text-red-500">Failed to load your favorites.</p>`;
+  }
+}
+
+// -------------------- Render --------------------
+function renderCollections(collections) {
+  collectionsContainer.innerHTML = "";
+
+  if (collections.length === 0) {
+    collectionsContainer.innerHTML = `<p class="text-gray-300">No collections yet. Bookmark a place from the planner or create one above.</p>`;
+    return;
+  }
+
+  collections.forEach((collection) => {
+    collectionsContainer.appendChild(renderCollection(collection));
+  });
+}
+
+function renderCollection(collection) {
+  const section = document.createElement("section");
+  section.className = "border-t border-white/10 pt-4";
+  section.innerHTML = `
+    <div class="flex flex-wrap items-center gap-2 mb-3">
+      <h3 class="collection-name text-xl font-semibold text-white mr-auto"></h3>
+      <button class="rename-btn px-3 py-1 bg-white/10 hover:bg-white/20 text-white rounded text-sm">Rename</button>
+      <button class="delete-btn px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-sm">Delete</button>
+    </div>
+    <div class="places grid md:grid-cols-3 gap-3 mb-3"></div>
+    <form class="trip-form flex flex-wrap items-center gap-2">
+      <span class="text-sm text-gray-300">Start a trip from this collection:</span>
+      <input type="date" name="startDate" required class="px-3 py-1 rounded bg-white/10 border border-white/20 text-white"/>
+      <input type="date" name="endDate" required class="px-3 py-1 rounded bg-white/10 border border-white/20 text-white"/>
+      <button type="submit" class="px-3 py-1 bg-green-600 hover:bg-green-700 text-white rounded text-sm">Plan Trip</button>
+    </form>
+  `;
+  section.querySelector(".collection-name").textContent = `${collection.name} (${collection.places.length})`;
+
+  const placesEl = section.querySelector(".places");
+  if (collection.places.length === 0) {
+    placesEl.innerHTML = `<p class="text-gray-400 text-sm">No places yet.</p>`;
+  }
+  collection.places.forEach((place) => {
+    placesEl.appendChild(renderPlace(collection, place));
+  });
+
+  section.querySelector(".rename-btn").addEventListener("click", () => renameCollection(collection));
+  section.querySelector(".delete-btn").addEventListener("click", () => deleteCollection(collection));
+  section.querySelector(".trip-form").addEventListener("submit", (e) => {
+    e.preventDefault();
+    planTripFromCollection(collection, e.target);
+  });
+
+  return section;
+}
+
+function renderPlace(collection, place) {
+  const card = document.createElement("div");
+  card.className = "recommendation-card";
+  card.innerHTML = `
+    <h4 class="place-name font-semibold"></h4>
+    <p class="place-city text-xs text-gray-400"></p>
+    <div class="flex gap-2">
+      <button class="map-btn px-2 py-1 bg-orange-600 hover:bg-orange-700 text-white rounded text-xs">Open in Map</button>
+      <button class="remove-btn px-2 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-xs">Remove</button>
+    </div>
+  `;
+  card.querySelector(".place-name").textContent = place.name;
+  card.querySelector(".place-city").textContent = place.city;
+  card.querySelector(".map-btn").addEventListener("click", () => window.open(safeUrl(place.mapUrl), "_blank", "noopener"));
+  card.querySelector(".remove-btn").addEventListener("click", () => removePlace(collection, place));
+  return card;
+}
+
+// -------------------- Actions --------------------
+// Sends a change and resolves to the response body, or to null after telling
+// the user why it failed (refused by the server or no connection)
+async function sendChange(url, options, failure) {
+  let res;
+  let data;
+  try {
+    res = await apiFetch(url, options);
+    data = await res.json().catch(() => ({}));
+  } catch (err) {
+    console.error(`${failure}:`, err);
+    // fetch() rejects with a TypeError when offline; an expired session is already redirecting
+    if (err instanceof TypeError) alert(`${failure}. Check your connection and try again.`);
+    return null;
+  }
+  if (!res.ok) {
+    alert(data.message || `${failure}. Please try again.`);
+    return null;
+  }
+  return data;
+}
+
+newCollectionForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const input = document.getElementById("newCollectionName");
+  const name = input.value.trim();
+  if (!name) return;
+
+  const data = await sendChange("/api/favorites", {
+    method: "POST",
+    headers: jsonHeaders,
+    body: JSON.stringify({ name }),
+  }, "Could not create collection");
+  if (!data) return;
+  input.value = "";
+  loadCollections();
+});
+
+async function renameCollection(collection) {
+  const name = prompt("New name for this collection:", collection.name);
+  if (!name || name.trim() === collection.name) return;
+
+  const data = await sendChange(`/api/favorites/${collection.id}`, {
+    method: "PUT",
+    headers: jsonHeaders,
+    body: JSON.stringify({ name: name.trim() }),
+  }, "Could not rename collection");
+  if (data) loadCollections();
+}
+
+async function deleteCollection(collection) {
+  if (!confirm(`Delete "${collection.name}" and its ${collection.places.length} place(s)?`)) return;
+  const data = await sendChange(`/api/favorites/${collection.id}`, { method: "DELETE" }, "Could not delete collection");
+  if (data) loadCollections();
+}
+
+async function removePlace(collection, place) {
+  const data = await sendChange(
+    `/api/favorites/${collection.id}/places/${encodeURIComponent(place.placeId)}`,
+    { method: "DELETE" },
+    "Could not remove place"
+  );
+  if (data) loadCollections();
+}
+
+async function planTripFromCollection(collection, form) {
+  const data = await sendChange(`/api/favorites/${collection.id}/trip`, {
+    method: "POST",
+    headers: jsonHeaders,
+    body: JSON.stringify({
+      startDate: form.startDate.value,
+      endDate: form.endDate.value,
+    }),
+  }, "Could not create trip");
+  if (data) window.location.href = `ind.html?trip=${data.trip.id}`;
+}
+
+// -------------------- Init --------------------
+getCurrentUser().then((user) => {
+  if (!user) redirectToLogin();
+  else loadCollections();
+});
@@ -0,0 +1,145 @@
+const radiusInput = document.getElementById("travelRadius");
+const radiusValue = document.getElementById("radiusValue");
+radiusInput.addEventListener("input", () => radiusValue.textContent = radiusInput.value);
+
+let userCurrency = "INR"; // costs are quoted in the profile currency when signed in
+
+const VIBE_LABEL_CLASS = "px-4 py-2 rounded-full cursor-pointer bg-white/30 text-white hover:bg-blue-400 hover:text-white transition-all duration-300 transform scale-100 peer-checked:scale-105 peer-checked:bg-blue-600 peer-checked:text-white peer-checked:shadow-lg";
+
+// One pill-shaped checkbox per vibe in the taxonomy
+function renderVibeOptions(vibes) {
+  const container = document.getElementById("vibeOptions");
+  container.innerHTML = "";
+  vibes.forEach((vibe) => {
+    const box = el("input", "peer hidden");
+    box.type = "checkbox";
+    box.id = `vibe-${vibe.id}`;
+    box.name = "vibe";
+    box.value = vibe.label;
+
+    const label = el("label", VIBE_LABEL_CLASS, `${vibe.icon} ${vibe.label}`);
+    label.htmlFor = box.id;
+
+    // peer-checked styles need the checkbox and its label side by side
+    const item = el("span", "flex");
+    item.append(box, label);
+    container.appendChild(item);
+  });
+}
+
+// Signed-in users start from their profile defaults (home city, vibes, radius)
+Promise.all([loadVibes(), getCurrentUser()]).then(([vibes, user]) => {
+  renderVibeOptions(vibes);
+  if (!user) return;
+  const prefs = user.preferences;
+  userCurrency = prefs.currency;
+  const city = document.getElementById("city");
+  if (!city.value && user.homeCity) city.value = user.homeCity;
+
+  document.querySelectorAll("input[name='vibe']").forEach((box) => {
+    if (hasVibe(vibes, prefs.vibes, findVibe(vibes, box.value))) box.checked = true;
+  });
+
+  radiusInput.value = prefs.radius;
+  radiusValue.textContent = prefs.radius;
+});
+
+// Cards appear as /recommend/stream sends them, kept in rating order.
+// Submitting again aborts the request still in flight.
+let recommendationController = null;
+
+document.getElementById("recommendationForm").addEventListener("submit", async (e) => {
+    e.preventDefault();
+  
+    const city = document.getElementById("city").value.trim();
+    const radius = document.getElementById("travelRadius").value;
+    const vibes = Array.from(document.querySelectorAll("input[name='vibe']:checked")).map(v => v.value);
+  
+    if (!city || vibes.length === 0) {
+      alert("Please enter a city and select at least one vibe.");
+      return;
+    }
+  
+    const resultsDiv = document.getElementById("results");
+    resultsDiv.innerHTML = "<p class='text-white'>Loading recommendations...</p>";
+
+    if (recommendationController) recommendationController.abort();
+    const controller = new AbortController();
+    recommendationController = controller;
+    let shown = 0;
+  
+    try {
+      const places = await streamRecommendations({ city, radius, vibes, currency: userCurrency }, {
+        signal: controller.signal,
+        onPlace: (place) => {
+          if (shown++ === 0) resultsDiv.innerHTML = "";
+          if (place.source === "catalog" && !resultsDiv.querySelector(".catalog-notice")) {
+            resultsDiv.prepend(el("p", "catalog-notice text-yellow-300 mb-2", CATALOG_NOTICE));
+          }
+          insertByRating(resultsDiv, renderPlaceCard(place));
+        }
+      });
+
+      if (places.length === 0) {
+        resultsDiv.innerHTML = "<p class='text-white'>No recommendations found.</p>";
+      }
+    } catch (err) {
+      if (err.name === "AbortError") return;
+      console.error(err);
+      // Validation and rate-limit errors come with the server's message
+      if (shown === 0) resultsDiv.innerHTML = "";
+      resultsDiv.appendChild(el("p", "text-white", err.message || "Something went wrong. Please try again."));
+    } finally {
+      if (recommendationController === controller) recommendationController = null;
+    }
+  });
+
+// Highest rating first: a new card goes before the first lower-rated one
+function insertByRating(container, card) {
+  const rating = Number(card.dataset.rating);
+  const next = Array.from(container.querySelectorAll(".recommendation-card"))
+    .find((other) => Number(other.dataset.rating) < rating);
+  container.insertBefore(card, next || null);
+}
+
+function renderPlaceCard(p) {
+  const hasCoords = p.latitude != null && p.longitude != null;
+  const card = el("div", "recommendation-card");
+  card.dataset.rating = p.rating || 0;
+  setHtml(card, html`
+    <h3 class="text-lg font-semibold text-white mb-1">${p.name}</h3>
+    <p class="text-white mb-1">${p.description}</p>
+    <p class="text-white mb-1">📍 Distance: ${p.distance != null ? p.distance : '?'} km</p>
+    <p class="text-white mb-1">⭐ Rating: ${p.rating != null ? p.rating : '?'} / 5${p.reviewCount ? ` (${p.reviewCount} reviews)` : ''}</p>
+    ${p.cost ? html`<p class="text-white mb-2">💰 Estimated cost: ${formatMoney(p.cost.total, userCurrency)} <span class="text-gray-300 text-sm">(${formatCostBreakdown(p.cost, userCurrency)})</span></p>` : ""}
+    ${p.durationMinutes ? html`<p class="text-white mb-2">⏱ Typical visit: ${formatDuration(p.durationMinutes)}</p>` : ""}
+    <div class="flex gap-2">
+      <a href="${safeUrl(p.mapUrl)}" target="_blank" rel="noopener" class="bg-blue-500 hover:bg-blue-600 text-white px-3 py-1 rounded-md text-sm">Open in Maps</a>
+      <button type="button" class="bookmark-btn bg-blue-500 hover:bg-blue-600 text-white px-3 py-1 rounded-md text-sm">Bookmark</button>
+      <button type="button" class="details-btn bg-blue-500 hover:bg-blue-600 text-white px-3 py-1 rounded-md text-sm">Reviews</button>
+      ${hasCoords ? html`<a 
+  href="https://m.uber.com/ul/?action=setPickup&dropoff[latitude]=${p.latitude}&dropoff[longitude]=${p.longitude}&dropoff[nickname]=${encodeURIComponent(p.name)}" 
+  target="_blank" rel="noopener" 
+  class="bg-blue-500 hover:bg-blue-600 text-white px-3 py-1 rounded-md text-sm">
+  Book Cab
+</a>` : ''}
+
+    </div>
+  `);
+
+  // Bookmark button saves into the signed-in user's Favorites
+  const bookmarkBtn = card.querySelector(".bookmark-btn");
+  bookmarkBtn.addEventListener("click", async () => {
+    try {
+      bookmarkBtn.textContent = await bookmarkPlace(p);
+      bookmarkBtn.disabled = true;
+    } catch (err) {
+      console.error(err);
+      bookmarkBtn.textContent = "Try again";
+    }
+  });
+
+  // Place details panel with community reviews
+  card.querySelector(".details-btn").addEventListener("click", () => openPlaceDetails(p));
+  return card;
+}
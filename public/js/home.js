@@ -0,0 +1,23 @@
+// Show the signed-in state in the header
+let signedIn = false;
+
+// Profile opens for signed-in users; everyone else signs in first
+document.getElementById('profileBtn').addEventListener('click', () => {
+    location.href = signedIn ? 'profile.html' : 'login.html?next=' + encodeURIComponent('/profile.html');
+});
+
+getCurrentUser().then((user) => {
+    if (!user) return;
+    signedIn = true;
+
+    const loginLink = document.getElementById('loginLink');
+    const registerLink = document.getElementById('registerLink');
+
+    document.getElementById('profileLabel').textContent = user.displayName || user.username;
+    registerLink.style.display = 'none';
+    loginLink.textContent = 'Logout';
+    loginLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        logout();
+    });
+});
@@ -0,0 +1,136 @@
+document.querySelector('.img__btn').addEventListener('click', function() {
+    document.querySelector('.cont').classList.toggle('s--signup');
+});
+document.querySelector('.sub-const-1 .const').classList.add('slide-out');
+
+// Login function
+async function login() {
+    const email = document.getElementById('loginEmail').value;
+    const password = document.getElementById('loginPassword').value;
+    const messageDiv = document.getElementById('loginMessage');
+
+    if (!email || !password) {
+        showMessage(messageDiv, 'Please fill in all fields', 'error');
+        return;
+    }
+
+    try {
+        const response = await fetch('/login', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ email, password })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            showMessage(messageDiv, data.message, 'success');
+            // The session cookie is set by the server; go back to where we came from
+            setTimeout(() => {
+                window.location.href = getNextUrl();
+            }, 1500);
+        } else {
+            showMessage(messageDiv, data.message, 'error');
+        }
+    } catch (error) {
+        showMessage(messageDiv, 'Network error. Please try again.', 'error');
+    }
+}
+
+// Signup function
+async function signup() {
+    const username = document.getElementById('signupUsername').value;
+    const email = document.getElementById('signupEmail').value;
+    const password = document.getElementById('signupPassword').value;
+    const messageDiv = document.getElementById('signupMessage');
+
+    if (!username || !email || !password) {
+        showMessage(messageDiv, 'Please fill in all fields', 'error');
+        return;
+    }
+
+    if (password.length < 6) {
+        showMessage(messageDiv, 'Password must be at least 6 characters long', 'error');
+        return;
+    }
+
+    try {
+        const response = await fetch('/signup', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ username, email, password })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            showMessage(messageDiv, data.message, 'success');
+            // Clear form
+            document.getElementById('signupUsername').value = '';
+            document.getElementById('signupEmail').value = '';
+            document.getElementById('signupPassword').value = '';
+            // Switch to login form
+            setTimeout(() => {
+                document.querySelector('.cont').classList.remove('s--signup');
+                showMessage(document.getElementById('loginMessage'), 'Account created! Please sign in.', 'success');
+            }, 1500);
+        } else {
+            showMessage(messageDiv, data.message, 'error');
+        }
+    } catch (error) {
+        showMessage(messageDiv, 'Network error. Please try again.', 'error');
+    }
+}
+
+// Only follow same-site paths from ?next=. Parsed the way the browser will
+// follow it, so "/\\evil.com" (read as "//evil.com") is refused too.
+function getNextUrl() {
+    const next = new URLSearchParams(window.location.search).get('next');
+    if (!next || !next.startsWith('/')) return '/';
+    try {
+        const url = new URL(next, window.location.origin);
+        return url.origin === window.location.origin ? url.pathname + url.search + url.hash : '/';
+    } catch (error) {
+        return '/';
+    }
+}
+
+// Helper function to show messages
+function showMessage(element, message, type) {
+    element.textContent = message;
+    element.className = `message ${type}`;
+    element.style.display = 'block';
+
+    // Hide message after 5 seconds
+    setTimeout(() => {
+        element.style.display = 'none';
+    }, 5000);
+}
+
+// Landing here from the verification email link
+const verified = new URLSearchParams(window.location.search).get('verified');
+if (verified === '1') {
+    showMessage(document.getElementById('loginMessage'), 'Email confirmed. Please sign in.', 'success');
+} else if (verified === '0') {
+    showMessage(document.getElementById('loginMessage'), 'That verification link is invalid or has expired.', 'error');
+}
+
+document.getElementById('loginBtn').addEventListener('click', login);
+document.getElementById('signupBtn').addEventListener('click', signup);
+
+// Allow Enter key to submit forms
+document.getElementById('loginPassword').addEventListener('keypress', function(e) {
+    if (e.key === 'Enter') {
+        login();
+    }
+});
+
+document.getElementById('signupPassword').addEventListener('keypress', function(e) {
+    if (e.key === 'Enter') {
+        signup();
+    }
+});
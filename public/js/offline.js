@@ -0,0 +1,270 @@
+// -------------------- Offline support --------------------
+// sw.js keeps the app shell cached; this file keeps the data. Saved trips
+// are copied into IndexedDB whenever the planner sees them online, so they
+// open without a connection. Day saves made offline (selections, notes,
+// completion) wait in an outbox, one entry per trip day holding its latest
+// state, and are sent to PUT /api/trips/:id/days/:n once we reconnect.
+// Each entry remembers the day as it was before the first offline edit and
+// the trip version it came from. When co-travelers changed the trip in the
+// meantime the server answers 409 with its copy of the day, and the offline
+// edit is merged into it instead of overwriting it.
+
+const OFFLINE_DB = "triptrove"; // also deleted by logout() in js/session.js
+
+if (typeof navigator !== "undefined" && "serviceWorker" in navigator) {
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch((err) => console.error("Service worker failed:", err));
+  });
+}
+
+// fetch() rejects with a TypeError when the request never reached the server
+function isNetworkError(err) {
+  return err instanceof TypeError;
+}
+
+let offlineDbRequest = null;
+
+// Stores: meta { key, value } (signed-in user, trip list), trips { id, trip,
+// role, savedAt } and outbox { key: "<tripId>:<dayNumber>", tripId, dayNumber,
+// body, base: { version, day } | null, queuedAt }
+function openOfflineDb() {
+  if (!offlineDbRequest) {
+    offlineDbRequest = new Promise((resolve, reject) => {
+      const request = indexedDB.open(OFFLINE_DB, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore("meta", { keyPath: "key" });
+        db.createObjectStore("trips", { keyPath: "id" });
+        db.createObjectStore("outbox", { keyPath: "key" });
+      };
+      request.onsuccess = () => {
+        // Let logout() in another tab delete the database
+        request.result.onversionchange = () => request.result.close();
+        resolve(request.result);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return offlineDbRequest;
+}
+
+// Runs fn(store) in a transaction and resolves to the result of the request it returns
+async function offlineStore(name, mode, fn) {
+  const db = await openOfflineDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const request = fn(tx.objectStore(name));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+async function getMeta(key) {
+  const entry = await offlineStore("meta", "readonly", (store) => store.get(key));
+  return entry ? entry.value : null;
+}
+
+function setMeta(key, value) {
+  return offlineStore("meta", "readwrite", (store) => store.put({ key, value }));
+}
+
+async function clearOfflineData() {
+  await Promise.all(["meta", "trips", "outbox"].map((name) => offlineStore(name, "readwrite", (store) => store.clear())));
+}
+
+// -------------------- Session --------------------
+// Like getCurrentUser(), but without a connection it answers with whoever
+// last signed in on this device. Another account signing in clears their data.
+async function getSessionUser() {
+  let res;
+  try {
+    res = await fetch("/me", { credentials: "same-origin" });
+  } catch (err) {
+    if (!isNetworkError(err)) return null;
+    return getMeta("user").catch(() => null);
+  }
+  if (!res.ok) return null;
+  const { user } = await res.json();
+  if (!user) return null;
+
+  try {
+    const saved = await getMeta("user");
+    if (saved && saved.id !== user.id) await clearOfflineData();
+    await setMeta("user", user);
+  } catch (err) {
+    console.error("Could not save the session offline:", err);
+  }
+  return user;
+}
+
+// -------------------- Saved trips --------------------
+function cacheTrip(trip, role) {
+  return offlineStore("trips", "readwrite", (store) => store.put({ id: trip.id, trip, role, savedAt: Date.now() }));
+}
+
+// Resolves to { trip, role } or null
+function getCachedTrip(id) {
+  return offlineStore("trips", "readonly", (store) => store.get(id)).then((entry) => entry || null);
+}
+
+function getCachedTripList() {
+  return getMeta("tripList").then((trips) => trips || []);
+}
+
+// Remembers the list from GET /api/trips and downloads every trip whose
+// cached copy is missing or older than the list's `version`. Trips that
+// left the list (deleted, or access removed) are dropped.
+async function cacheTripList(trips) {
+  await setMeta("tripList", trips);
+  const listed = new Set(trips.map((trip) => trip.id));
+  const cachedIds = await offlineStore("trips", "readonly", (store) => store.getAllKeys());
+  await Promise.all(cachedIds.filter((id) => !listed.has(id))
+    .map((id) => offlineStore("trips", "readwrite", (store) => store.delete(id))));
+
+  for (const summary of trips) {
+    const cached = await getCachedTrip(summary.id);
+    if (cached && cached.trip.version === summary.version) continue;
+    const res = await fetch(`/api/trips/${summary.id}`, { credentials: "same-origin" });
+    if (!res.ok) continue;
+    const data = await res.json();
+    await cacheTrip(data.trip, data.role);
+  }
+}
+
+// Applies a day save to the cached copy so the trip reopens as it was left
+async function updateCachedDay(tripId, dayNumber, body) {
+  const cached = await getCachedTrip(tripId);
+  if (!cached) return;
+  const day = cached.trip.days.find((d) => d.dayNumber === Number(dayNumber));
+  if (!day) return;
+  Object.assign(day, body);
+  await cacheTrip(cached.trip, cached.role);
+}
+
+// -------------------- Outbox --------------------
+const DAY_FIELDS = ["places", "notes", "status"];
+const MAX_MERGE_ATTEMPTS = 3;
+
+function pickDay(day) {
+  const picked = {};
+  DAY_FIELDS.forEach((field) => { picked[field] = day[field]; });
+  return picked;
+}
+
+// The cached day and trip version an offline edit starts from, or null
+async function cachedDayBase(tripId, dayNumber) {
+  const cached = await getCachedTrip(tripId);
+  const day = cached && cached.trip.days.find((d) => d.dayNumber === Number(dayNumber));
+  return day ? { version: cached.trip.version || 0, day: pickDay(day) } : null;
+}
+
+// A newer save of the same day replaces the queued one but keeps its base
+async function queueDaySave(tripId, dayNumber, body) {
+  const key = `${tripId}:${dayNumber}`;
+  const queued = await offlineStore("outbox", "readonly", (store) => store.get(key));
+  const base = queued ? queued.base : await cachedDayBase(tripId, dayNumber);
+  await offlineStore("outbox", "readwrite", (store) =>
+    store.put({ key, tripId, dayNumber, body, base, queuedAt: Date.now() }));
+  await updateCachedDay(tripId, dayNumber, body);
+}
+
+function placeKey(place) {
+  return place.placeId || String(place.name || "").trim().toLowerCase();
+}
+
+// Three-way merge of an offline edit (`mine`) into the server's day
+// (`theirs`), both starting from `base`. Places: the server's list, minus
+// the ones removed offline, plus the ones added offline. Notes and status:
+// whichever side changed; notes both sides changed keep both texts.
+function mergeDay(base, mine, theirs) {
+  const baseKeys = new Set(base.places.map(placeKey));
+  const mineKeys = new Set(mine.places.map(placeKey));
+  const removed = new Set(base.places.map(placeKey).filter((k) => !mineKeys.has(k)));
+  const places = theirs.places.filter((place) => !removed.has(placeKey(place)));
+  const kept = new Set(places.map(placeKey));
+  mine.places.forEach((place) => {
+    const k = placeKey(place);
+    if (!baseKeys.has(k) && !kept.has(k)) {
+      places.push(place);
+      kept.add(k);
+    }
+  });
+
+  let notes = theirs.notes;
+  if (mine.notes !== base.notes && mine.notes !== theirs.notes) {
+    notes = theirs.notes === base.notes ? mine.notes : `${theirs.notes}\n\n${mine.notes}`;
+  }
+  const status = mine.status !== base.status ? mine.status : theirs.status;
+  return { places, notes, status };
+}
+
+// PUTs one queued day, merging and retrying while the server reports newer
+// changes (409). Resolves to { res, merged } with the last response.
+async function sendQueuedDay(entry) {
+  let body = entry.body;
+  let base = entry.base;
+  let merged = false;
+  for (let attempt = 0; ; attempt++) {
+    const res = await fetch(`/api/trips/${entry.tripId}/days/${entry.dayNumber}`, {
+      method: "PUT",
+      credentials: "same-origin",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(base ? { ...body, baseVersion: base.version } : body),
+    });
+    if (res.status !== 409 || !base || attempt + 1 >= MAX_MERGE_ATTEMPTS) return { res, merged };
+
+    const current = await res.json();
+    const theirs = pickDay(current.day);
+    body = mergeDay(base.day, body, theirs);
+    base = { version: current.version, day: theirs };
+    merged = true;
+    await updateCachedDay(entry.tripId, entry.dayNumber, body);
+  }
+}
+
+// Sends queued day saves, oldest first. Resolves to { synced, merged, dropped,
+// pending }: `merged` of the synced saves were combined with newer changes on
+// the server; saves the server refused (trip deleted, access removed, invalid)
+// are dropped; sending stops at the first network error, 401 or server error
+// and the rest stay queued for the next try.
+async function syncOfflineEdits() {
+  const result = { synced: 0, merged: 0, dropped: 0, pending: 0 };
+  const queued = await offlineStore("outbox", "readonly", (store) => store.getAll());
+  queued.sort((a, b) => a.queuedAt - b.queuedAt);
+
+  for (let i = 0; i < queued.length; i++) {
+    const entry = queued[i];
+    let sent;
+    try {
+      sent = await sendQueuedDay(entry);
+    } catch (err) {
+      if (!isNetworkError(err)) throw err;
+      result.pending = queued.length - i;
+      break;
+    }
+    const { res, merged } = sent;
+    if (res.status === 401 || res.status >= 500 || res.status === 409) {
+      result.pending = queued.length - i;
+      break;
+    }
+    if (res.ok) {
+      result.synced++;
+      if (merged) result.merged++;
+    } else {
+      result.dropped++;
+    }
+
+    // Leave it queued if the day was saved again while this one was sending
+    await offlineStore("outbox", "readwrite", (store) => {
+      const request = store.get(entry.key);
+      request.onsuccess = () => {
+        if (request.result && request.result.queuedAt === entry.queuedAt) store.delete(entry.key);
+      };
+      return null;
+    });
+  }
+  return result;
+}
+
+// Lets Node tests (offline.test.js) load this file; browsers have no `module`
+if (typeof module !== "undefined") module.exports = { mergeDay };
@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { mergeDay } = require("./offline");
+
+const place = (name) => ({ placeId: `${name.toLowerCase()}-goa`, name });
+const names = (day) => day.places.map((p) => p.name);
+
+const base = { places: [place("Fort"), place("Beach")], notes: "Bring water", status: "planned" };
+
+test("an offline edit on top of an unchanged day is kept as it is", () => {
+  const mine = { places: [place("Beach"), place("Market")], notes: "Bring water and hats", status: "done" };
+  assert.deepEqual(mergeDay(base, mine, base), mine);
+});
+
+test("places added and removed offline are applied to the co-traveler's list", () => {
+  const mine = { ...base, places: [place("Fort"), place("Market")] }; // removed Beach, added Market
+  const theirs = { ...base, places: [place("Church"), place("Fort"), place("Beach")] }; // added Church
+  assert.deepEqual(names(mergeDay(base, mine, theirs)), ["Church", "Fort", "Market"]);
+});
+
+test("a place both sides added appears once", () => {
+  const mine = { ...base, places: [...base.places, place("Market")] };
+  const theirs = { ...base, places: [...base.places, { name: "Market", placeId: "market-goa", cost: { total: 0 } }] };
+  assert.deepEqual(names(mergeDay(base, mine, theirs)), ["Fort", "Beach", "Market"]);
+});
+
+test("notes and status come from whichever side changed them", () => {
+  const mine = { ...base, status: "done" };
+  const theirs = { ...base, notes: "Leave by 9" };
+  assert.deepEqual(mergeDay(base, mine, theirs), { places: base.places, notes: "Leave by 9", status: "done" });
+});
+
+test("notes both sides rewrote keep both texts", () => {
+  const mine = { ...base, notes: "Sunscreen" };
+  const theirs = { ...base, notes: "Leave by 9" };
+  assert.equal(mergeDay(base, mine, theirs).notes, "Leave by 9\n\nSunscreen");
+  assert.equal(mergeDay(base, mine, { ...base, notes: "Sunscreen" }).notes, "Sunscreen");
+});
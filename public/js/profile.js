@@ -0,0 +1,136 @@
+// -------------------- DOM Elements --------------------
+const profileForm = document.getElementById("profileForm");
+const passwordForm = document.getElementById("passwordForm");
+const vibeOptions = document.getElementById("vibeOptions");
+
+const jsonHeaders = { "Content-Type": "application/json" };
+
+// Vibes offered by the planner and the Places Suggestion page (GET /vibes)
+let vibeTaxonomy = [];
+const CURRENCIES = ["INR", "USD", "EUR", "GBP", "AUD", "CAD", "SGD", "AED", "JPY"];
+
+function showMessage(id, text, ok) {
+  const el = document.getElementById(id);
+  el.textContent = text;
+  el.className = `text-sm ${ok ? "text-green-400" : "text-red-400"}`;
+}
+
+function renderAvatar(url) {
+  const img = document.getElementById("avatarPreview");
+  img.classList.toggle("hidden", !url);
+  if (url) img.src = url;
+}
+
+// -------------------- Render --------------------
+function fillProfile(profile) {
+  document.getElementById("profileHeading").textContent = profile.displayName || profile.username;
+  document.getElementById("profileEmail").textContent = `@${profile.username} · ${profile.email}`;
+  renderAvatar(profile.avatarUrl);
+  document.getElementById("verifyNotice").classList.toggle("hidden", profile.emailVerified);
+
+  profileForm.displayName.value = profile.displayName;
+  profileForm.avatarUrl.value = profile.avatarUrl;
+  profileForm.homeCity.value = profile.homeCity;
+  profileForm.currency.value = profile.preferences.currency;
+  profileForm.pace.value = profile.preferences.pace;
+  profileForm.radius.value = profile.preferences.radius;
+  document.getElementById("radiusValue").textContent = profile.preferences.radius;
+
+  // Keep any saved vibe that is not in the taxonomy, so saving does not drop it
+  const saved = profile.preferences.vibes;
+  const custom = saved.filter((name) => !findVibe(vibeTaxonomy, name));
+  const options = vibeTaxonomy
+    .map((vibe) => ({ value: vibe.label, text: `${vibe.icon} ${vibe.label}`, checked: hasVibe(vibeTaxonomy, saved, vibe) }))
+    .concat(custom.map((name) => ({ value: name, text: name, checked: true })));
+  vibeOptions.innerHTML = "";
+  options.forEach((option) => {
+    const label = document.createElement("label");
+    label.className = "flex items-center gap-1";
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.name = "vibe";
+    box.value = option.value;
+    box.checked = option.checked;
+    label.append(box, document.createTextNode(option.text));
+    vibeOptions.appendChild(label);
+  });
+}
+
+CURRENCIES.forEach((code) => {
+  const option = document.createElement("option");
+  option.value = code;
+  option.textContent = code;
+  profileForm.currency.appendChild(option);
+});
+
+profileForm.radius.addEventListener("input", () => {
+  document.getElementById("radiusValue").textContent = profileForm.radius.value;
+});
+profileForm.avatarUrl.addEventListener("change", () => renderAvatar(profileForm.avatarUrl.value.trim()));
+
+// -------------------- Save --------------------
+async function updateProfile(body) {
+  const res = await apiFetch("/me/profile", {
+    method: "PUT",
+    headers: jsonHeaders,
+    body: JSON.stringify(body),
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.message || "Could not save your profile");
+  return data;
+}
+
+profileForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  try {
+    const data = await updateProfile({
+      displayName: profileForm.displayName.value.trim(),
+      avatarUrl: profileForm.avatarUrl.value.trim(),
+      homeCity: profileForm.homeCity.value.trim(),
+      preferences: {
+        currency: profileForm.currency.value,
+        pace: profileForm.pace.value,
+        radius: Number(profileForm.radius.value),
+        vibes: Array.from(vibeOptions.querySelectorAll("input:checked")).map((box) => box.value),
+      },
+    });
+    fillProfile(data.profile);
+    showMessage("profileMessage", data.message, true);
+  } catch (err) {
+    showMessage("profileMessage", err.message, false);
+  }
+});
+
+passwordForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  if (passwordForm.newPassword.value !== passwordForm.confirmPassword.value) {
+    showMessage("passwordMessage", "New passwords do not match", false);
+    return;
+  }
+
+  try {
+    await updateProfile({
+      currentPassword: passwordForm.currentPassword.value,
+      newPassword: passwordForm.newPassword.value,
+    });
+    passwordForm.reset();
+    showMessage("passwordMessage", "Password changed", true);
+  } catch (err) {
+    showMessage("passwordMessage", err.message, false);
+  }
+});
+
+document.getElementById("resendVerifyBtn").addEventListener("click", async () => {
+  const res = await apiFetch("/verify-email/resend", { method: "POST" });
+  const data = await res.json();
+  showMessage("profileMessage", data.message || "Could not send the email", res.ok);
+});
+
+document.getElementById("logoutBtn").addEventListener("click", logout);
+
+// -------------------- Init --------------------
+Promise.all([getCurrentUser(), loadVibes()]).then(([user, vibes]) => {
+  vibeTaxonomy = vibes;
+  if (!user) redirectToLogin();
+  else fillProfile(user);
+});
@@ -0,0 +1,49 @@
+// -------------------- Streaming recommendations --------------------
+// POST /recommend/stream answers with one JSON object per line: a "place"
+// line as soon as each place is ready, then "done" (or "error").
+// streamRecommendations(body, { signal, onPlace }) calls onPlace(place) for
+// every place and resolves to all of them. It rejects with the server's
+// message on validation or rate-limit errors, and with an AbortError when
+// `signal` aborts (the page moved on to another vibe or day).
+
+async function streamRecommendations(body, { signal, onPlace }) {
+  const res = await fetch("/recommend/stream", {
+    method: "POST",
+    credentials: "same-origin",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.message || "Failed to fetch recommendations.");
+  }
+
+  const places = [];
+  const handleLine = (line) => {
+    if (!line.trim()) return;
+    const message = JSON.parse(line);
+    if (message.type === "place") {
+      places.push(message.place);
+      onPlace(message.place);
+    } else if (message.type === "error") {
+      throw new Error(message.message);
+    }
+  };
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let end;
+    while ((end = buffer.indexOf("\n")) >= 0) {
+      handleLine(buffer.slice(0, end));
+      buffer = buffer.slice(end + 1);
+    }
+  }
+  handleLine(buffer + decoder.decode());
+  return places;
+}
@@ -0,0 +1,68 @@
+// -------------------- Safe rendering --------------------
+// Place names, descriptions and distances come from an LLM prompted with
+// whatever the user typed, so they are treated as untrusted everywhere.
+// Build markup with html`...` (every ${value} is escaped) and put it on the
+// page with setHtml(); build single nodes with el(). Load before other scripts.
+
+// Markup that is already safe: produced by html`` or by escaping
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value == null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+    .replace(/`/g, "&#96;");
+}
+
+// Arrays are joined, null/undefined/false render nothing, nested html`` is kept
+function renderValue(value) {
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderValue).join("");
+  if (value == null || value === false) return "";
+  return escapeHtml(value);
+}
+
+// Tagged template: html`<h4>${place.name}</h4>` escapes place.name
+function html(strings, ...values) {
+  let out = strings[0];
+  values.forEach((value, i) => {
+    out += renderValue(value) + strings[i + 1];
+  });
+  return new SafeHtml(out);
+}
+
+// Replaces the element's content; anything that is not html`` is shown as text
+function setHtml(target, content) {
+  if (content instanceof SafeHtml) target.innerHTML = content.value;
+  else target.textContent = content == null ? "" : String(content);
+  return target;
+}
+
+// Only http(s) links (and same-site paths) may go into href/src
+function safeUrl(url) {
+  const value = String(url || "").trim();
+  if (/^https?:\/\//i.test(value) || (value.startsWith("/") && !value.startsWith("//"))) return value;
+  return "#";
+}
+
+// One element with a class and text content
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+// Lets Node tests (render.test.js) load this file; browsers have no `module`
+if (typeof module !== "undefined") module.exports = { escapeHtml, html, setHtml, safeUrl };
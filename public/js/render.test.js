@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { html, setHtml, safeUrl } = require("./render");
+
+// Place names a model could be talked into returning
+const HOSTILE_NAMES = [
+  "<img src=x onerror=alert(1)>",
+  "\"><script>alert(1)</script>",
+  "'><svg onload=alert(1)>",
+  "`${alert(1)}`",
+];
+
+test("html`` escapes hostile names in text and attributes", () => {
+  HOSTILE_NAMES.forEach((name) => {
+    const out = html`<h4 title="${name}">${name}</h4>`.toString();
+    assert.ok(out.startsWith('<h4 title="') && out.endsWith("</h4>"), out);
+    assert.doesNotMatch(out, /<(img|script|svg)/i);
+    const title = out.slice('<h4 title="'.length, out.indexOf('">'));
+    assert.doesNotMatch(title, /["'`<>]/, `attribute value stays closed: ${out}`);
+    assert.equal(out.split("<").length - 1, 2, `only the template's own tags: ${out}`);
+  });
+
+  assert.equal(
+    html`<p>${"<img src=x onerror=alert(1)>"}</p>`.toString(),
+    "<p>&lt;img src=x onerror=alert(1)&gt;</p>"
+  );
+  assert.equal(html`${"\"><script>"}`.toString(), "&quot;&gt;&lt;script&gt;");
+  assert.equal(html`${"`"}`.toString(), "&#96;");
+});
+
+test("html`` keeps nested html`` and joins arrays, escaping each item", () => {
+  const names = ["<b>one</b>", "two"];
+  const out = html`<ul>${names.map((name) => html`<li>${name}</li>`)}</ul>`.toString();
+  assert.equal(out, "<ul><li>&lt;b&gt;one&lt;/b&gt;</li><li>two</li></ul>");
+  assert.equal(html`<p>${null}${undefined}${false}</p>`.toString(), "<p></p>");
+});
+
+test("setHtml writes html`` as markup and anything else as text", () => {
+  const target = { innerHTML: "", textContent: "" };
+  setHtml(target, "<img src=x onerror=alert(1)>");
+  assert.equal(target.textContent, "<img src=x onerror=alert(1)>");
+  assert.equal(target.innerHTML, "");
+
+  setHtml(target, html`<b>${"<script>"}</b>`);
+  assert.equal(target.innerHTML, "<b>&lt;script&gt;</b>");
+});
+
+test("safeUrl only lets http(s) and same-site links through", () => {
+  [
+    "javascript:alert(1)",
+    " JavaScript:alert(1)",
+    "jav\tascript:alert(1)",
+    "data:text/html,<script>alert(1)</script>",
+    "vbscript:msgbox(1)",
+    "//evil.example/path",
+    "",
+    null,
+  ].forEach((url) => assert.equal(safeUrl(url), "#", String(url)));
+
+  assert.equal(safeUrl("https://maps.example.com/?q=1"), "https://maps.example.com/?q=1");
+  assert.equal(safeUrl("/shared/abc"), "/shared/abc");
+});
+
+test("a quote in an allowed URL cannot break out of the attribute", () => {
+  const out = html`<a href="${safeUrl('https://x.example/"onmouseover="alert(1)')}">map</a>`.toString();
+  assert.equal(out, '<a href="https://x.example/&quot;onmouseover=&quot;alert(1)">map</a>');
+});
@@ -0,0 +1,53 @@
+// -------------------- DOM Elements --------------------
+const forgotForm = document.getElementById("forgotForm");
+const resetForm = document.getElementById("resetForm");
+const resetToken = new URLSearchParams(window.location.search).get("token");
+
+const jsonHeaders = { "Content-Type": "application/json" };
+
+function showMessage(id, text, ok) {
+  const el = document.getElementById(id);
+  el.textContent = text;
+  el.className = `text-sm ${ok ? "text-green-400" : "text-red-400"}`;
+}
+
+async function postJson(url, body) {
+  const res = await fetch(url, { method: "POST", headers: jsonHeaders, body: JSON.stringify(body) });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.message || "Something went wrong. Please try again.");
+  return data;
+}
+
+if (resetToken) {
+  forgotForm.classList.add("hidden");
+  resetForm.classList.remove("hidden");
+}
+
+// -------------------- Request a reset link --------------------
+forgotForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  try {
+    const data = await postJson("/forgot-password", { email: forgotForm.email.value.trim() });
+    showMessage("forgotMessage", data.message, true);
+  } catch (err) {
+    showMessage("forgotMessage", err.message, false);
+  }
+});
+
+// -------------------- Set the new password --------------------
+resetForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  if (resetForm.password.value !== resetForm.confirmPassword.value) {
+    showMessage("resetMessage", "Passwords do not match", false);
+    return;
+  }
+
+  try {
+    const data = await postJson("/reset-password", { token: resetToken, password: resetForm.password.value });
+    showMessage("resetMessage", data.message, true);
+    resetForm.querySelector("button").disabled = true;
+    setTimeout(() => { window.location.href = "login.html"; }, 1500);
+  } catch (err) {
+    showMessage("resetMessage", err.message, false);
+  }
+});
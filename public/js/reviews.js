@@ -0,0 +1,219 @@
+// -------------------- Place details & reviews --------------------
+// Shared by the planner and the Places Suggestion page (needs js/session.js
+// and js/render.js).
+// openPlaceDetails(place) shows a panel with the place, its community
+// reviews and, for signed-in users, a form to post or edit their own.
+
+const SUGGESTED_TAGS = ["hidden gem", "family friendly", "budget friendly", "great views", "crowded"];
+
+function stars(rating) {
+  const full = Math.round(rating);
+  return "★".repeat(full) + "☆".repeat(5 - full);
+}
+
+// 90 -> "1.5 h", 45 -> "45 min"
+function formatDuration(minutes) {
+  return minutes >= 60 ? `${Math.round(minutes / 30) / 2} h` : `${minutes} min`;
+}
+
+// Shown above results that came from the curated catalog (source "catalog")
+// because live suggestions were unavailable
+const CATALOG_NOTICE = "Live suggestions are unavailable right now, so these places come from our curated catalog.";
+
+async function fetchReviews(placeId) {
+  const res = await fetch(`/api/reviews?placeId=${encodeURIComponent(placeId)}`, { credentials: "same-origin" });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.message || "Could not load reviews");
+  return data;
+}
+
+// options.onSummary(summary) is called whenever the average rating changes
+async function openPlaceDetails(place, options = {}) {
+  closePlaceDetails();
+
+  const overlay = el("div", "place-details-overlay fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 p-4");
+  overlay.id = "placeDetails";
+  const panel = el("div", "bg-gray-900 text-white rounded-xl w-full max-w-lg max-h-full overflow-y-auto p-6 flex flex-col gap-3");
+  overlay.appendChild(panel);
+  overlay.addEventListener("click", (e) => { if (e.target === overlay) closePlaceDetails(); });
+  document.addEventListener("keydown", closeOnEscape);
+
+  const header = el("div", "flex justify-between items-start gap-4");
+  const title = el("div");
+  title.appendChild(el("h3", "text-xl font-semibold", place.name));
+  if (place.city) title.appendChild(el("p", "text-gray-400 text-sm", place.city));
+  const closeBtn = el("button", "text-gray-400 hover:text-white text-2xl leading-none", "×");
+  closeBtn.setAttribute("aria-label", "Close");
+  closeBtn.addEventListener("click", closePlaceDetails);
+  header.append(title, closeBtn);
+  panel.appendChild(header);
+
+  if (place.photos && place.photos.length) {
+    const photo = el("img", "w-full max-h-56 object-cover rounded-lg");
+    photo.src = safeUrl(place.photos[0]);
+    photo.alt = place.name;
+    photo.loading = "lazy";
+    panel.appendChild(photo);
+  }
+  if (place.description) panel.appendChild(el("p", "text-gray-300 text-sm", place.description));
+  if (place.durationMinutes) panel.appendChild(el("p", "text-gray-400 text-sm", `⏱ Typical visit: ${formatDuration(place.durationMinutes)}`));
+
+  const summaryLine = el("p", "text-yellow-300 text-sm");
+  const formBox = el("div");
+  const list = el("div", "flex flex-col gap-3");
+  list.appendChild(el("p", "text-gray-400 text-sm", "Loading reviews..."));
+  panel.append(summaryLine, formBox, el("h4", "font-semibold mt-2", "Community reviews"), list);
+  document.body.appendChild(overlay);
+
+  const user = await getCurrentUser();
+
+  async function refresh() {
+    try {
+      const { summary, reviews } = await fetchReviews(place.id);
+      summaryLine.textContent = summary.count
+        ? `${stars(summary.average)} ${summary.average} / 5 from ${summary.count} review${summary.count === 1 ? "" : "s"}`
+        : "No reviews yet – be the first to share a tip.";
+      if (options.onSummary) options.onSummary(summary);
+
+      const mine = reviews.find((review) => review.mine);
+      renderReviewForm(formBox, place, user, mine, refresh);
+      renderReviewList(list, reviews, user, refresh);
+    } catch (err) {
+      console.error("Error loading reviews:", err);
+      list.replaceChildren(el("p", "text-red-400 text-sm", "Could not load reviews."));
+    }
+  }
+
+  refresh();
+}
+
+function closePlaceDetails() {
+  const existing = document.getElementById("placeDetails");
+  if (existing) existing.remove();
+  document.removeEventListener("keydown", closeOnEscape);
+}
+
+function closeOnEscape(e) {
+  if (e.key === "Escape") closePlaceDetails();
+}
+
+function renderReviewList(list, reviews, user, refresh) {
+  list.replaceChildren();
+  if (reviews.length === 0) {
+    list.appendChild(el("p", "text-gray-400 text-sm", "Nobody has reviewed this place yet."));
+    return;
+  }
+
+  reviews.forEach((review) => {
+    const item = el("div", "border border-gray-700 rounded-lg p-3 flex flex-col gap-1");
+    const top = el("div", "flex justify-between text-sm");
+    top.append(
+      el("span", "font-semibold", review.author.username || "Traveller"),
+      el("span", "text-yellow-300", stars(review.rating))
+    );
+    item.appendChild(top);
+    item.appendChild(el("p", "text-gray-500 text-xs", new Date(review.createdAt).toLocaleDateString()));
+
+    if (review.tags.length) {
+      const tags = el("div", "flex gap-1 flex-wrap");
+      review.tags.forEach((tag) => tags.appendChild(el("span", "bg-blue-900 text-blue-200 text-xs px-2 py-0.5 rounded", tag)));
+      item.appendChild(tags);
+    }
+    if (review.text) item.appendChild(el("p", "text-gray-200 text-sm whitespace-pre-line", review.text));
+
+    const helpful = el("button", "self-start text-xs text-gray-300 hover:text-white",
+      `👍 Helpful (${review.helpfulCount})${review.votedHelpful ? " ✓" : ""}`);
+    if (!user || review.mine) {
+      helpful.disabled = true;
+    } else {
+      helpful.addEventListener("click", async () => {
+        const res = await apiFetch(`/api/reviews/${review.id}/helpful`, { method: "POST" });
+        if (res.ok) refresh();
+      });
+    }
+    item.appendChild(helpful);
+    list.appendChild(item);
+  });
+}
+
+// New review, or edit/delete of the signed-in user's existing one
+function renderReviewForm(box, place, user, mine, refresh) {
+  box.replaceChildren();
+  if (!user) {
+    const signIn = el("button", "text-sm text-blue-400 hover:underline", "Sign in to write a review");
+    signIn.addEventListener("click", redirectToLogin);
+    box.appendChild(signIn);
+    return;
+  }
+
+  const form = el("form", "flex flex-col gap-2 border border-gray-700 rounded-lg p-3");
+  form.appendChild(el("h4", "font-semibold text-sm", mine ? "Your review" : "Write a review"));
+
+  const rating = el("select", "bg-gray-800 rounded px-2 py-1 text-sm w-40");
+  [5, 4, 3, 2, 1].forEach((value) => {
+    const option = el("option", "", `${stars(value)} (${value})`);
+    option.value = value;
+    rating.appendChild(option);
+  });
+  rating.value = mine ? mine.rating : 5;
+
+  const text = el("textarea", "bg-gray-800 rounded px-2 py-1 text-sm");
+  text.rows = 3;
+  text.maxLength = 2000;
+  text.placeholder = "Tips, best time to go, hidden corners...";
+  text.value = mine ? mine.text || "" : "";
+
+  const chosen = new Set(mine ? mine.tags : []);
+  const tags = el("div", "flex gap-2 flex-wrap text-xs");
+  SUGGESTED_TAGS.forEach((tag) => {
+    const label = el("label", "flex items-center gap-1");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = tag;
+    checkbox.checked = chosen.has(tag);
+    label.append(checkbox, document.createTextNode(tag));
+    tags.appendChild(label);
+  });
+
+  const error = el("p", "text-red-400 text-xs");
+  const actions = el("div", "flex gap-2");
+  const submit = el("button", "px-3 py-1 bg-green-600 hover:bg-green-700 rounded text-sm", mine ? "Update" : "Post review");
+  submit.type = "submit";
+  actions.appendChild(submit);
+
+  if (mine) {
+    const remove = el("button", "px-3 py-1 bg-red-600 hover:bg-red-700 rounded text-sm", "Delete");
+    remove.type = "button";
+    remove.addEventListener("click", async () => {
+      if (!confirm("Delete your review?")) return;
+      const res = await apiFetch(`/api/reviews/${mine.id}`, { method: "DELETE" });
+      if (res.ok) refresh();
+    });
+    actions.appendChild(remove);
+  }
+
+  form.append(rating, text, tags, error, actions);
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const body = {
+      rating: Number(rating.value),
+      text: text.value,
+      tags: Array.from(tags.querySelectorAll("input:checked")).map((input) => input.value),
+    };
+    if (!mine) body.place = place;
+
+    const res = await apiFetch(mine ? `/api/reviews/${mine.id}` : "/api/reviews", {
+      method: mine ? "PUT" : "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      error.textContent = data.message || "Could not save your review";
+      return;
+    }
+    refresh();
+  });
+
+  box.appendChild(form);
+}
@@ -12,60 +12,679 @@ let selectedPlaces = {};
 let currentDay = null;
 let currentVibe = null;
 let allDaySelections = {}; // dayNumber -> array of selected place objects
+let vibeIterations = {}; // "day:vibe" -> how many times it was requested
+let dayStatus = {}; // dayNumber -> "planned" | "completed"
+let dayNotes = {}; // dayNumber -> free-text notes for the day
+let dayCards = {}; // dayNumber -> .day-card element in #daysContainer
+let dayWeather = {}; // dayNumber -> forecast { icon, conditions, high, low, rainChance, rainLikely }
+let userPrefs = null; // signed-in user's profile preferences (vibes, radius, ...)
+let vibeTaxonomy = []; // from GET /vibes, see js/vibes.js
+let currentUserId = null;
+let tripRole = "owner"; // signed-in user's role on the open trip: owner | editor | viewer
+let dayCandidates = {}; // dayNumber -> places suggested for the day, with votes
+let tripEvents = null; // EventSource with live changes to the open trip
+let resyncing = false;
+let recommendationController = null; // aborts the recommendation stream in flight
+
+// Sent with this tab's saves so the live stream can skip their echo
+const plannerClientId = Math.random().toString(36).slice(2, 12);
+
+// -------------------- Session --------------------
+// The planner is per-user: bounce to the login page without a session
+if (plannerContainer) {
+  loadVibes().then((vibes) => {
+    vibeTaxonomy = vibes;
+    if (currentDay && document.getElementById("vibeButtons")) renderVibes();
+  });
+
+  // Offline, this is whoever last signed in here (see js/offline.js)
+  getSessionUser().then(async (user) => {
+    if (!user) {
+      redirectToLogin();
+      return;
+    }
+    userPrefs = user.preferences;
+    currentUserId = user.id;
+    renderSessionInfo(user);
+
+    const cityInput = document.getElementById("city");
+    if (cityInput && !cityInput.value && user.homeCity) cityInput.value = user.homeCity;
+
+    // Day saves left over from an earlier offline session go first
+    if (navigator.onLine) await sendOfflineEdits();
+
+    // ?trip=<id> reopens a saved trip (also what a refresh lands on)
+    const tripId = new URLSearchParams(window.location.search).get("trip");
+    if (tripId) openTrip(tripId);
+    else loadSavedTrips();
+  });
+}
+
+function renderSessionInfo(user) {
+  const el = document.getElementById("sessionInfo");
+  if (!el) return;
+
+  el.innerHTML = "";
+  const name = document.createElement("span");
+  name.textContent = `Signed in as ${user.displayName || user.username}`;
+
+  const profileLink = document.createElement("a");
+  profileLink.href = "profile.html";
+  profileLink.className = "px-3 py-1 rounded bg-white/10 hover:bg-white/20 text-white";
+  profileLink.textContent = "Profile";
+
+  const logoutBtn = document.createElement("button");
+  logoutBtn.className = "px-3 py-1 rounded bg-white/10 hover:bg-white/20 text-white";
+  logoutBtn.textContent = "Log out";
+  logoutBtn.addEventListener("click", logout);
+
+  const favoritesLink = document.createElement("a");
+  favoritesLink.href = "favorites.html";
+  favoritesLink.className = "px-3 py-1 rounded bg-white/10 hover:bg-white/20 text-white";
+  favoritesLink.textContent = "Favorites";
+
+  el.append(name, profileLink, favoritesLink, logoutBtn);
+}
 
 // -------------------- Plan My Day button --------------------
 if (planBtn) {
-  planBtn.addEventListener("click", () => {
+  planBtn.addEventListener("click", async () => {
     const city = document.getElementById("city").value.trim();
-    const start = new Date(document.getElementById("startDate").value);
-    const end = new Date(document.getElementById("endDate").value);
+    const startValue = document.getElementById("startDate").value;
+    const endValue = document.getElementById("endDate").value;
+    const budgetValue = document.getElementById("budget").value;
+    const start = new Date(startValue);
+    const end = new Date(endValue);
 
     if (!city || isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
       alert("Please fill all details correctly.");
       return;
     }
 
-    tripData = { city, start, end };
-    visitedPlaces = {};
-    bookmarkedPlaces = {};
-    selectedPlaces = {};
+    try {
+      const res = await apiFetch("/api/trips", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ city, startDate: startValue, endDate: endValue, budget: budgetValue || null }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        alert(data.message || "Could not create trip.");
+        return;
+      }
+      showTrip(data.trip, "owner");
+    } catch (err) {
+      console.error("Error creating trip:", err);
+    }
+  });
+}
+
+// -------------------- Saved trips --------------------
+// Every listed trip is also copied to this device, so the list and the
+// trips still open offline (without Delete/Leave, which need the server)
+async function loadSavedTrips() {
+  const list = document.getElementById("savedTrips");
+  if (!list) return;
+
+  let trips;
+  let invites = [];
+  let offline = false;
+  try {
+    const res = await apiFetch("/api/trips");
+    trips = (await res.json()).trips;
+    cacheTripList(trips || []).catch((err) => console.error("Could not save trips offline:", err));
+    invites = await loadInvites();
+  } catch (err) {
+    if (!isNetworkError(err)) {
+      console.error("Error loading trips:", err);
+      return;
+    }
+    offline = true;
+    trips = await getCachedTripList().catch(() => []);
+  }
+  trips = trips || [];
+  if (trips.length === 0 && invites.length === 0) {
+    list.classList.add("hidden");
+    return;
+  }
+
+  list.innerHTML = "";
+  if (invites.length > 0) renderInvites(list, invites);
+  if (trips.length > 0) {
+    list.insertAdjacentHTML("beforeend", offline
+      ? `<h3 class="font-semibold text-white mb-2">Your trips <span class="text-xs text-yellow-300">offline – saved on this device</span></h3>`
+      : `<h3 class="font-semibold text-white mb-2">Your trips</h3>`);
+  }
+  trips.forEach((trip) => {
+    const owner = trip.role === "owner";
+    const badge = owner ? (trip.memberCount ? `👥 shared with ${trip.memberCount}` : "") : `👥 ${trip.role}`;
+    const row = document.createElement("div");
+    row.className = "flex items-center justify-between gap-4 py-2 border-t border-white/10";
+    setHtml(row, html`
+      <div>
+        <p class="text-white">${trip.title} <span class="text-xs text-blue-300">${badge}</span></p>
+        <p class="text-xs text-gray-400">${new Date(trip.startDate).toDateString()} – ${new Date(trip.endDate).toDateString()} · ${trip.placeCount} place(s)</p>
+      </div>
+      <div class="flex gap-2">
+        <button class="open-btn px-3 py-1 bg-[#0056b3] hover:bg-[#004998] text-white rounded text-sm">Open</button>
+        <button class="delete-btn px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-sm">${owner ? "Delete" : "Leave"}</button>
+      </div>
+    `);
+    row.querySelector(".open-btn").addEventListener("click", () => openTrip(trip.id));
+    const deleteBtn = row.querySelector(".delete-btn");
+    if (offline) deleteBtn.remove();
+    else deleteBtn.addEventListener("click", () => (owner ? deleteTrip(trip.id, row) : leaveTrip(trip.id, row)));
+    list.appendChild(row);
+  });
+  list.classList.remove("hidden");
+}
+
+// Trips other people invited you to; an invitation only counts once accepted
+async function loadInvites() {
+  const res = await apiFetch("/api/trips/invites");
+  if (!res.ok) return [];
+  return (await res.json()).invites || [];
+}
+
+function renderInvites(list, invites) {
+  list.insertAdjacentHTML("beforeend", `<h3 class="font-semibold text-white mb-2">Invitations</h3>`);
+  invites.forEach((invite) => {
+    const row = document.createElement("div");
+    row.className = "flex items-center justify-between gap-4 py-2 border-t border-white/10 mb-4";
+    setHtml(row, html`
+      <div>
+        <p class="text-white">${invite.title} <span class="text-xs text-blue-300">👥 ${invite.role}</span></p>
+        <p class="text-xs text-gray-400">from @${invite.invitedBy || "unknown"} · ${new Date(invite.startDate).toDateString()} – ${new Date(invite.endDate).toDateString()}</p>
+      </div>
+      <div class="flex gap-2">
+        <button class="accept-btn px-3 py-1 bg-green-600 hover:bg-green-700 text-white rounded text-sm">Accept</button>
+        <button class="decline-btn px-3 py-1 bg-white/10 hover:bg-white/20 text-white rounded text-sm">Decline</button>
+      </div>
+    `);
+    row.querySelector(".accept-btn").addEventListener("click", () => answerInvite(invite, true));
+    row.querySelector(".decline-btn").addEventListener("click", () => answerInvite(invite, false));
+    list.appendChild(row);
+  });
+}
+
+async function answerInvite(invite, accept) {
+  try {
+    const res = await apiFetch(`/api/trips/invites/${invite.tripId}`, { method: accept ? "POST" : "DELETE" });
+    const data = await res.json();
+    if (!res.ok) {
+      showToast(data.message || "Could not answer the invitation", "red");
+      loadSavedTrips();
+      return;
+    }
+    showToast(data.message, accept ? "green" : "blue");
+    if (accept) openTrip(invite.tripId);
+    else loadSavedTrips();
+  } catch (err) {
+    console.error("Error answering invitation:", err);
+    showToast("Could not answer the invitation", "red");
+  }
+}
+
+async function openTrip(id) {
+  try {
+    const res = await apiFetch(`/api/trips/${id}`);
+    const data = await res.json();
+    if (!res.ok) {
+      showToast(data.message || "Trip not found", "red");
+      loadSavedTrips();
+      return;
+    }
+    showTrip(data.trip, data.role);
+    cacheTrip(data.trip, data.role).catch((err) => console.error("Could not save trip offline:", err));
+  } catch (err) {
+    if (isNetworkError(err)) openCachedTrip(id);
+    else console.error("Error opening trip:", err);
+  }
+}
+
+// The copy saved on this device, as left by the last online visit or offline edit
+async function openCachedTrip(id) {
+  const cached = await getCachedTrip(id).catch(() => null);
+  if (!cached) {
+    showToast("You're offline and this trip isn't saved on this device", "red");
+    loadSavedTrips();
+    return;
+  }
+  showTrip(cached.trip, cached.role);
+  showToast("You're offline – showing the copy saved on this device", "yellow");
+}
+
+async function deleteTrip(id, row) {
+  if (!confirm("Delete this trip?")) return;
+  try {
+    const res = await apiFetch(`/api/trips/${id}`, { method: "DELETE" });
+    if (res.ok) row.remove();
+  } catch (err) {
+    console.error("Error deleting trip:", err);
+  }
+}
+
+// Members take themselves off someone else's trip
+async function leaveTrip(id, row) {
+  if (!confirm("Leave this trip? You will need a new invite to come back.")) return;
+  try {
+    const res = await apiFetch(`/api/trips/${id}/members/${currentUserId}`, { method: "DELETE" });
+    if (res.ok) row.remove();
+  } catch (err) {
+    console.error("Error leaving trip:", err);
+  }
+}
+
+// Editors and the owner plan days; viewers read and vote
+function canEdit() {
+  return tripRole === "owner" || tripRole === "editor";
+}
+
+// Load a server trip into the planner globals and draw its day cards
+function showTrip(trip, role = "owner") {
+  tripRole = role;
+  tripData = {
+    id: trip.id,
+    city: trip.city,
+    start: new Date(trip.startDate),
+    end: new Date(trip.endDate),
+    startPoint: trip.startPoint || null,
+    currency: trip.currency || "INR",
+    budget: trip.budget,
+    members: trip.members || [],
+    version: trip.version || 0,
+  };
+  visitedPlaces = {};
+  bookmarkedPlaces = {};
+  selectedPlaces = {};
+  allDaySelections = {};
+  vibeIterations = {};
+  dayStatus = {};
+  dayNotes = {};
+  dayWeather = {};
+  dayCandidates = {};
+  currentDay = null;
+
+  trip.days.forEach((day) => {
+    allDaySelections[day.dayNumber] = day.places;
+    dayCandidates[day.dayNumber] = day.candidates || [];
+    dayStatus[day.dayNumber] = day.status;
+    dayNotes[day.dayNumber] = day.notes;
+    day.places.forEach((place) => { visitedPlaces[place.name] = true; });
+  });
+
+  // Bookmarks for this city feed the "include 1-2 bookmarked places" prompt rule
+  getBookmarkedNames(trip.city)
+    .then((names) => names.forEach((name) => { bookmarkedPlaces[name] = true; }))
+    .catch((err) => console.error("Error loading bookmarks:", err));
+
+  history.replaceState(null, "", `?trip=${trip.id}`);
+  tripBox.classList.add("hidden");
+  const savedTrips = document.getElementById("savedTrips");
+  if (savedTrips) savedTrips.classList.add("hidden");
+  plannerContainer.classList.remove("hidden");
+  showTripActions(trip.id);
+
+  generateDays(tripData.start, tripData.end);
+  updateBudget();
+  loadWeather(trip.id);
+  connectTripEvents(trip.id);
+}
+
+// apiFetch for changes to the open trip, tagged with this tab's client id
+function plannerFetch(url, options = {}) {
+  return apiFetch(url, { ...options, headers: { ...options.headers, "X-Client-Id": plannerClientId } });
+}
+
+// -------------------- Live updates --------------------
+// Co-travelers' changes arrive over GET /api/trips/:id/events. Each event
+// carries the trip version after the change: one we already have is
+// skipped, a jump past the next version means we missed something, and the
+// trip is reloaded. The browser reconnects by itself; the stream's `hello`
+// then tells us whether anything changed while we were away.
+function connectTripEvents(id) {
+  if (tripEvents && tripEvents.tripId === id) return;
+  if (tripEvents) tripEvents.close();
+
+  tripEvents = new EventSource(`/api/trips/${id}/events`);
+  tripEvents.tripId = id;
+  tripEvents.addEventListener("message", (e) => {
+    try {
+      applyTripEvent(JSON.parse(e.data));
+    } catch (err) {
+      console.error("Bad trip event:", err);
+    }
+  });
+}
+
+function applyTripEvent(event) {
+  if (resyncing) return;
+  if (event.type === "hello") {
+    if (event.version !== tripData.version) resyncTrip();
+    return;
+  }
+  if (event.version < tripData.version) return;
+  if (event.version > tripData.version + 1) {
+    resyncTrip();
+    return;
+  }
+  tripData.version = event.version;
+  if (event.client === plannerClientId) return;
+
+  const dayNum = event.dayNumber;
+  switch (event.type) {
+    case "place-added":
+    case "place-removed":
+    case "places-reordered":
+      allDaySelections[dayNum] = event.places;
+      event.places.forEach((place) => { visitedPlaces[place.name] = true; });
+      refreshDay(dayNum);
+      break;
+    case "day-updated":
+      dayStatus[dayNum] = event.status;
+      dayNotes[dayNum] = event.notes;
+      refreshDay(dayNum);
+      break;
+    case "candidates":
+      dayCandidates[dayNum] = event.candidates;
+      if (currentDay === dayNum) renderCandidates();
+      break;
+    case "trip-updated":
+      resyncTrip();
+      break;
+    case "trip-deleted":
+      tripEvents.close();
+      alert("The trip owner deleted this trip.");
+      window.location.href = "ind.html";
+      break;
+  }
+}
+
+// Redraw what shows a day after someone else changed it
+function refreshDay(dayNum) {
+  updateBudget();
+  if (currentDay !== dayNum) return;
+
+  if (document.getElementById("itineraryList")) {
+    renderItineraryList(dayNum);
+    const notes = document.getElementById("dayNotes");
+    if (notes && document.activeElement !== notes) notes.value = dayNotes[dayNum] || "";
+  } else {
+    updateSavedSummary();
+  }
+}
+
+// Reload the whole trip (after a missed event, or when dates, budget or
+// members changed) and reopen the day that was open
+async function resyncTrip() {
+  const dayNum = currentDay;
+  resyncing = true;
+  try {
+    const res = await apiFetch(`/api/trips/${tripData.id}`);
+    const data = await res.json();
+    if (!res.ok) {
+      tripEvents.close();
+      alert(data.message || "This trip is no longer available.");
+      window.location.href = "ind.html";
+      return;
+    }
+    showTrip(data.trip, data.role);
+    cacheTrip(data.trip, data.role).catch((err) => console.error("Could not save trip offline:", err));
+    if (dayNum && dayCards[dayNum]) dayCards[dayNum].click();
+  } catch (err) {
+    console.error("Error reloading trip:", err);
+  } finally {
+    resyncing = false;
+  }
+}
+
+// Forecasts only cover the next couple of weeks; days without one show nothing
+async function loadWeather(id) {
+  try {
+    const res = await apiFetch(`/api/trips/${id}/weather`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { forecast } = await res.json();
+    if (id !== tripData.id) return;
+
+    forecast.forEach((day) => {
+      dayWeather[day.dayNumber] = day;
+      updateDayCard(day.dayNumber);
+    });
+    if (currentDay && dayWeather[currentDay] && document.getElementById("vibeButtons")) renderVibes();
+  } catch (err) {
+    console.error("Error loading weather:", err);
+  }
+}
+
+// Export links are built server-side from the saved trip
+function showTripActions(id) {
+  const actions = document.getElementById("tripActions");
+  if (!actions) return;
+  document.getElementById("exportIcs").href = `/api/trips/${id}/export.ics`;
+  document.getElementById("exportGpx").href = `/api/trips/${id}/export.gpx`;
+  document.getElementById("exportPrint").href = `/api/trips/${id}/print`;
+
+  const roleNote = document.getElementById("tripRoleNote");
+  roleNote.textContent = tripRole === "viewer" ? "👀 View only – you can vote on suggestions"
+    : tripRole === "editor" ? "✏️ You can edit this trip" : "";
+  document.getElementById("budgetForm").classList.toggle("hidden", !canEdit());
+  actions.classList.remove("hidden");
+}
+
+const shareTripBtn = document.getElementById("shareTripBtn");
+if (shareTripBtn) {
+  shareTripBtn.addEventListener("click", () => {
+    if (!tripData.id) return;
+    openSharePanel(tripData.id, tripRole, {
+      onMembers: (members) => { tripData.members = members.filter((member) => member.role !== "owner"); },
+      onLeave: () => { window.location.href = "ind.html"; },
+    });
+  });
+}
+
+// -------------------- Budget --------------------
+// Running totals come from each place's estimated cost; the server keeps the
+// same numbers (trip.costs) so reloading shows what the planner showed.
+function tripTotal() {
+  return Object.values(allDaySelections).reduce((sum, places) => sum + placesTotal(places), 0);
+}
+
+function updateBudget() {
+  const bar = document.getElementById("budgetBar");
+  if (!bar || !tripData.id) return;
+  bar.classList.remove("hidden");
+
+  const total = tripTotal();
+  const text = document.getElementById("budgetText");
+  const money = (amount) => formatMoney(amount, tripData.currency);
+  if (tripData.budget == null) {
+    text.textContent = `💰 Trip total: ${money(total)} · no budget set`;
+  } else if (total > tripData.budget) {
+    text.textContent = `💰 Trip total: ${money(total)} of ${money(tripData.budget)} – over budget by ${money(total - tripData.budget)}`;
+  } else {
+    text.textContent = `💰 Trip total: ${money(total)} of ${money(tripData.budget)} · ${money(tripData.budget - total)} left`;
+  }
+  text.classList.toggle("over-budget", tripData.budget != null && total > tripData.budget);
+
+  Object.keys(dayCards).forEach(updateDayCard);
+}
+
+// Asks before a selection takes the trip over its budget
+function confirmWithinBudget(place) {
+  if (tripData.budget == null || !place.cost) return true;
+  const after = tripTotal() + place.cost.total;
+  if (after <= tripData.budget) return true;
+  const money = (amount) => formatMoney(amount, tripData.currency);
+  return confirm(`Adding ${place.name} (about ${money(place.cost.total)}) brings this trip to ${money(after)}, ` +
+    `over your ${money(tripData.budget)} budget. Add it anyway?`);
+}
+
+const budgetForm = document.getElementById("budgetForm");
+if (budgetForm) {
+  budgetForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const value = document.getElementById("budgetInput").value;
+    try {
+      const res = await plannerFetch(`/api/trips/${tripData.id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ budget: value === "" ? null : Number(value) }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || `HTTP ${res.status}`);
+      tripData.budget = data.trip.budget;
+      updateBudget();
+      showToast(tripData.budget == null ? "Budget cleared" : "Budget saved");
+    } catch (err) {
+      console.error("Error saving budget:", err);
+      showToast(err.message || "Could not save the budget", "red");
+    }
+  });
+}
+
+// -------------------- Autosave --------------------
+// Without a connection the save is queued on this device (js/offline.js)
+// and sent when the browser is back online
+async function saveDay(dayNum) {
+  if (!tripData.id || !canEdit()) return;
+  updateBudget();
+  const body = {
+    places: allDaySelections[dayNum] || [],
+    notes: dayNotes[dayNum] || "",
+    status: dayStatus[dayNum] || "planned",
+  };
+  try {
+    if (!navigator.onLine) throw new TypeError("Offline");
+    const res = await plannerFetch(`/api/trips/${tripData.id}/days/${dayNum}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    updateCachedDay(tripData.id, dayNum, body).catch((err) => console.error("Could not save day offline:", err));
+  } catch (err) {
+    if (isNetworkError(err)) {
+      queueOfflineSave(dayNum, body);
+      return;
+    }
+    console.error("Autosave failed:", err);
+    showToast("Could not save your changes", "red");
+  }
+}
+
+async function queueOfflineSave(dayNum, body) {
+  try {
+    await queueDaySave(tripData.id, dayNum, body);
+    showToast("Saved on this device – will sync when you're back online", "yellow");
+  } catch (err) {
+    console.error("Could not queue offline save:", err);
+    showToast("Could not save your changes", "red");
+  }
+}
 
-    tripBox.classList.add("hidden");
-    plannerContainer.classList.remove("hidden");
+// Sends queued offline saves and says how it went
+async function sendOfflineEdits() {
+  try {
+    const { synced, merged, dropped } = await syncOfflineEdits();
+    if (synced) {
+      const note = merged ? `, ${merged} merged with co-travelers' changes` : "";
+      showToast(`Synced ${synced} change(s) made offline${note}`);
+    }
+    if (dropped) showToast(`${dropped} change(s) made offline could not be saved`, "red");
+    return synced + dropped > 0;
+  } catch (err) {
+    console.error("Offline sync failed:", err);
+    return false;
+  }
+}
 
-    generateDays(start, end);
+if (plannerContainer) {
+  window.addEventListener("offline", () => {
+    showToast("You're offline – changes are kept on this device", "yellow");
+  });
+  // Push what was queued, then reload the open trip for co-travelers' changes
+  window.addEventListener("online", async () => {
+    await sendOfflineEdits();
+    if (tripData.id) resyncTrip();
   });
 }
 
 // -------------------- Generate day cards --------------------
 function generateDays(start, end) {
   daysContainer.innerHTML = "";
+  dayCards = {};
   let dayCounter = 1;
   for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
+    const dayNum = dayCounter;
     const dateStr = d.toDateString();
     const dayName = d.toLocaleDateString("en-US", { weekday: "long" });
 
     const card = document.createElement("div");
     card.className = "day-card text-white";
-    card.innerHTML = `
+    setHtml(card, html`
       <h3 class="font-semibold">${dayName}</h3>
       <p class="text-sm text-gray-400">${dateStr}</p>
-    `;
+    `);
     card.addEventListener("click", () =>
-      selectDay(dayCounter, dayName, dateStr)
+      selectDay(dayNum, dayName, dateStr)
     );
     daysContainer.appendChild(card);
+    dayCards[dayNum] = card;
+    updateDayCard(dayNum);
     dayCounter++;
   }
 }
 
+// Completed days get a check mark and a muted card; forecast goes under the date
+function updateDayCard(dayNum) {
+  const card = dayCards[dayNum];
+  if (!card) return;
+
+  const weather = dayWeather[dayNum];
+  let forecast = card.querySelector(".day-weather");
+  if (weather && !forecast) {
+    forecast = document.createElement("p");
+    forecast.className = "day-weather text-xs text-gray-300";
+    card.querySelector("p").after(forecast);
+  }
+  if (weather) {
+    const temps = weather.high != null ? ` ${weather.high}° / ${weather.low}°` : "";
+    const rain = weather.rainChance != null ? ` · 💧 ${weather.rainChance}%` : "";
+    forecast.textContent = `${weather.icon} ${weather.conditions}${temps}${rain}`;
+  }
+
+  const dayTotal = placesTotal(allDaySelections[dayNum]);
+  let cost = card.querySelector(".day-cost");
+  if (dayTotal > 0 && !cost) {
+    cost = document.createElement("p");
+    cost.className = "day-cost text-xs text-gray-300";
+    card.appendChild(cost);
+  }
+  if (dayTotal > 0) cost.textContent = `💰 ${formatMoney(dayTotal, tripData.currency)}`;
+  else if (cost) cost.remove();
+
+  const completed = dayStatus[dayNum] === "completed";
+  card.classList.toggle("completed", completed);
+
+  let badge = card.querySelector(".day-status");
+  if (completed && !badge) {
+    badge = document.createElement("span");
+    badge.className = "day-status text-xs text-green-400";
+    badge.textContent = "✓ Completed";
+    card.appendChild(badge);
+  } else if (!completed && badge) {
+    badge.remove();
+  }
+}
+
 // -------------------- Select a day --------------------
 function selectDay(dayNum, dayName, dateStr) {
+  cancelRecommendations();
   currentDay = dayNum;
   selectedPlaces = {};
   if (!allDaySelections[dayNum]) allDaySelections[dayNum] = [];
 
-  dayPlanContainer.innerHTML = `
+  setHtml(dayPlanContainer, html`
     <div class="flex flex-col gap-4">
       <div class="flex justify-between items-center">
         <div>
@@ -74,113 +693,200 @@ function selectDay(dayNum, dayName, dateStr) {
         </div>
         <button id="viewAllSlotsBtn" class="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg text-sm">View All Saved</button>
       </div>
+      <p id="weatherTip" class="hidden text-sm text-blue-300"></p>
       <div class="flex gap-2 flex-nowrap overflow-x-auto mb-4 px-1" id="vibeButtons"></div>
       <div id="savedSummary" class="mb-2 text-gray-200 text-sm"></div>
+      <div id="candidates" class="hidden flex flex-col gap-2 mb-2"></div>
       <div id="recommendations" class="grid md:grid-cols-2 gap-4"></div>
-      <button id="endDayBtn" class="mt-4 px-6 py-2 rounded-lg bg-red-500 hover:bg-red-600 text-white font-semibold w-32 self-start">End Day</button>
+      <button id="endDayBtn" class="hidden mt-4 px-6 py-2 rounded-lg bg-red-500 hover:bg-red-600 text-white font-semibold w-32 self-start">End Day</button>
     </div>
-  `;
+  `);
 
   renderVibes();
   updateSavedSummary();
+  renderCandidates();
   document.getElementById("viewAllSlotsBtn").addEventListener("click", showAllSavedSlots);
+  document.getElementById("endDayBtn").addEventListener("click", () => showItinerary(dayNum, dayName, dateStr));
+
+  // A finished day opens straight on its itinerary
+  if (dayStatus[dayNum] === "completed") showItinerary(dayNum, dayName, dateStr);
 }
 
 // -------------------- Render vibe buttons --------------------
+// The user's preferred vibes come first and are highlighted; on a rainy day
+// indoor vibes move to the front and outdoor ones to the back
 function renderVibes() {
-  const vibes = ["Historic","Foodie","Beach","Nature","Art & Culture","Shopping","Nightlife","Wellness"];
+  const preferred = userPrefs ? userPrefs.vibes : [];
+  const rainy = Boolean(dayWeather[currentDay] && dayWeather[currentDay].rainLikely);
+  const weatherRank = (vibe) => (!rainy ? 0 : vibe.setting === "indoor" ? 0 : vibe.setting === "outdoor" ? 2 : 1);
+  const rank = (vibe) => weatherRank(vibe) * 2 + (hasVibe(vibeTaxonomy, preferred, vibe) ? 0 : 1);
+  const vibes = vibeTaxonomy.slice().sort((a, b) => rank(a) - rank(b));
+
   const vibeContainer = document.getElementById("vibeButtons");
   vibeContainer.innerHTML = "";
 
+  const tip = document.getElementById("weatherTip");
+  tip.classList.toggle("hidden", !rainy);
+  tip.textContent = rainy ? `☔ ${dayWeather[currentDay].rainChance}% chance of rain – indoor vibes are listed first.` : "";
+
   vibes.forEach((vibe) => {
     const btn = document.createElement("button");
     btn.className = "vibe-btn px-3 py-1 text-sm";
-    btn.textContent = vibe;
+    if (hasVibe(vibeTaxonomy, preferred, vibe)) btn.classList.add("preferred");
+    if (rainy && vibe.setting === "outdoor") {
+      btn.classList.add("rainy");
+      btn.title = "Rain is likely this day";
+    }
+    btn.textContent = `${vibe.icon} ${vibe.label}`;
     btn.addEventListener("click", () => {
-      if (currentVibe !== vibe) selectedPlaces = {};
-      currentVibe = vibe;
-      fetchVibePlaces(vibe);
+      if (currentVibe !== vibe.label) selectedPlaces = {};
+      currentVibe = vibe.label;
+      fetchVibePlaces(vibe.label);
     });
     vibeContainer.appendChild(btn);
   });
 }
 
 // -------------------- Fetch 4 places from backend --------------------
+// Cards appear one by one as /recommend/stream sends them. Picking another
+// vibe or day aborts the request still in flight.
+function cancelRecommendations() {
+  if (recommendationController) recommendationController.abort();
+  recommendationController = null;
+}
+
 async function fetchVibePlaces(vibe) {
   const rec = document.getElementById("recommendations");
   rec.innerHTML = "<p class='text-gray-400'>Loading...</p>";
 
+  const iterationKey = `${currentDay}:${vibe}`;
+  vibeIterations[iterationKey] = (vibeIterations[iterationKey] || 0) + 1;
+
+  cancelRecommendations();
+  const controller = new AbortController();
+  recommendationController = controller;
+  let shown = 0;
+
   try {
-    const response = await fetch("/recommendations", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        city: tripData.city,
-        vibe: vibe,
-        visited: Object.keys(visitedPlaces),
-        bookmarked: Object.keys(bookmarkedPlaces),
-        selected: Object.keys(selectedPlaces),
-      }),
+    const places = await streamRecommendations({
+      city: tripData.city,
+      vibe: vibe,
+      tripId: tripData.id,
+      iteration: vibeIterations[iterationKey],
+      visited: tripPlaceNames(),
+      bookmarked: Object.keys(bookmarkedPlaces),
+      selected: Object.keys(selectedPlaces),
+      rainLikely: Boolean(dayWeather[currentDay] && dayWeather[currentDay].rainLikely),
+      radius: userPrefs ? userPrefs.radius : null,
+    }, {
+      signal: controller.signal,
+      onPlace: (place) => {
+        if (shown++ === 0) rec.innerHTML = "";
+        if (place.source === "catalog" && !rec.querySelector(".catalog-notice")) {
+          rec.prepend(el("p", "catalog-notice text-yellow-300 text-sm mb-2", CATALOG_NOTICE));
+        }
+        rec.appendChild(renderRecommendationCard(place));
+      },
     });
 
-    const places = await response.json();
-    if (!Array.isArray(places)) {
-      rec.innerHTML = `<p class="text-red-500">Failed to fetch places. Check backend.</p>`;
-      console.error("Backend returned invalid data:", places);
-      return;
+    if (places.length === 0) {
+      setHtml(rec, html`<p class="text-gray-400">No places found for ${vibe} in ${tripData.city} right now. Try another vibe.</p>`);
     }
+  } catch (err) {
+    if (err.name === "AbortError") return;
+    console.error("Error fetching places:", err);
+    // Validation and rate-limit errors come with the server's message
+    if (shown === 0) rec.innerHTML = "";
+    rec.appendChild(el("p", "text-red-500", err.message || "Failed to fetch recommendations."));
+  } finally {
+    if (recommendationController === controller) recommendationController = null;
+  }
+}
 
-    rec.innerHTML = "";
-    places.forEach((place) => {
-      const placeCard = document.createElement("div");
-      placeCard.className = "recommendation-card";
+function renderRecommendationCard(place) {
+  const placeCard = document.createElement("div");
+  placeCard.className = "recommendation-card";
 
-      placeCard.innerHTML = `
-        <h4 class="font-semibold text-lg">${place.name}</h4>
-        <p class="text-gray-300 text-sm mb-2">${place.description}</p>
-        <p class="text-gray-400 text-xs mb-3">${place.distance}</p>
-        <div class="mt-2 flex gap-2 flex-wrap">
-          <button class="select-btn px-3 py-1 bg-green-600 hover:bg-green-700 text-white rounded text-sm">Select</button>
-          <button class="bookmark-btn px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded text-sm">Bookmark</button>
-          <button class="map-btn px-3 py-1 bg-orange-600 hover:bg-orange-700 text-white rounded text-sm">Open in Map</button>
-        </div>
-      `;
+  setHtml(placeCard, html`
+    <h4 class="font-semibold text-lg">${place.name}</h4>
+    <p class="text-gray-300 text-sm mb-2">${place.description}</p>
+    <p class="place-meta text-gray-400 text-xs mb-3" title="${place.cost ? formatCostBreakdown(place.cost, tripData.currency) : ""}">${formatPlaceMeta(place)}</p>
+    <div class="mt-2 flex gap-2 flex-wrap">
+      <button class="select-btn px-3 py-1 bg-green-600 hover:bg-green-700 text-white rounded text-sm">Select</button>
+      <button class="suggest-btn px-3 py-1 bg-purple-600 hover:bg-purple-700 text-white rounded text-sm" title="Let your co-travelers vote on it">Suggest</button>
+      <button class="bookmark-btn px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded text-sm">Bookmark</button>
+      <button class="map-btn px-3 py-1 bg-orange-600 hover:bg-orange-700 text-white rounded text-sm">Open in Map</button>
+      <button class="details-btn px-3 py-1 bg-gray-600 hover:bg-gray-700 text-white rounded text-sm">Reviews</button>
+    </div>
+  `);
 
-      // Select button
-      placeCard.querySelector(".select-btn").addEventListener("click", () => {
-        selectedPlaces[place.name] = true;
-        visitedPlaces[place.name] = true;
-        allDaySelections[currentDay].push(place);
-        placeCard.style.opacity = "0.5";
-        placeCard.style.pointerEvents = "none";
-        updateSavedSummary();
-      });
+  // Select button
+  placeCard.querySelector(".select-btn").addEventListener("click", () => {
+    if (!confirmWithinBudget(place)) return;
+    selectedPlaces[place.name] = true;
+    visitedPlaces[place.name] = true;
+    allDaySelections[currentDay].push(place);
+    placeCard.style.opacity = "0.5";
+    placeCard.style.pointerEvents = "none";
+    updateSavedSummary();
+    saveDay(currentDay);
+  });
 
-      // Bookmark button
-      placeCard.querySelector(".bookmark-btn").addEventListener("click", () => {
-        bookmarkedPlaces[place.name] = true;
-        showToast(`Bookmarked: ${place.name}`, "blue");
-      });
+  // Suggest button: only on shared trips, where there is someone to vote
+  placeCard.querySelector(".suggest-btn").addEventListener("click", () => suggestPlace(place));
+  if (!canEdit()) placeCard.querySelector(".select-btn").remove();
+  if (!canEdit() || tripData.members.length === 0) placeCard.querySelector(".suggest-btn").remove();
 
-      // Map button
-      placeCard.querySelector(".map-btn").addEventListener("click", () => {
-        window.open(place.mapUrl, "_blank");
-      });
+  // Bookmark button
+  placeCard.querySelector(".bookmark-btn").addEventListener("click", async () => {
+    try {
+      const message = await bookmarkPlace(place);
+      bookmarkedPlaces[place.name] = true;
+      showToast(`${message}: ${place.name}`, "blue");
+    } catch (err) {
+      console.error("Error bookmarking place:", err);
+      showToast("Could not bookmark place", "red");
+    }
+  });
 
-      rec.appendChild(placeCard);
+  // Map button
+  placeCard.querySelector(".map-btn").addEventListener("click", () => {
+    window.open(safeUrl(place.mapUrl), "_blank", "noopener");
+  });
+
+  // Details panel with community reviews; a new average updates the card
+  placeCard.querySelector(".details-btn").addEventListener("click", () => {
+    openPlaceDetails(place, {
+      onSummary: (summary) => {
+        if (!summary.count) return;
+        place.rating = summary.average;
+        place.reviewCount = summary.count;
+        placeCard.querySelector(".place-meta").textContent = formatPlaceMeta(place);
+      },
     });
-  } catch (err) {
-    console.error("Error fetching places:", err);
-    rec.innerHTML = `<p class="text-red-500">Failed to fetch recommendations.</p>`;
-  }
+  });
 
-  // End Day button
-  document.getElementById("endDayBtn").onclick = () => {
-    showToast(`Day ${currentDay} ended! Saved ${allDaySelections[currentDay].length} places.`, "red");
-    rec.innerHTML = "";
-    selectedPlaces = {};
-    updateSavedSummary();
-  };
+  return placeCard;
+}
+
+// Everything already picked on any day of the trip, plus earlier visits
+function tripPlaceNames() {
+  const names = new Set(Object.keys(visitedPlaces));
+  Object.values(allDaySelections).forEach((places) => {
+    places.forEach((place) => names.add(place.name));
+  });
+  return Array.from(names);
+}
+
+// -------------------- Place details line --------------------
+// Same Place fields front.js shows: distance (km), rating and fare
+function formatPlaceMeta(place) {
+  const parts = [];
+  if (place.distance != null) parts.push(`📍 ${place.distance} km`);
+  if (place.rating != null) parts.push(`⭐ ${place.rating} / 5${place.reviewCount ? ` (${place.reviewCount} reviews)` : ""}`);
+  if (place.cost) parts.push(`💰 ~${formatMoney(place.cost.total, tripData.currency)}`);
+  if (place.durationMinutes) parts.push(`⏱ ${formatDuration(place.durationMinutes)}`);
+  return parts.join(" · ");
 }
 
 // -------------------- Update saved selections summary --------------------
@@ -188,7 +894,276 @@ function updateSavedSummary() {
   const el = document.getElementById("savedSummary");
   if (!el || currentDay == null) return;
   const count = (allDaySelections[currentDay] || []).length;
-  el.textContent = count > 0 ? `Saved for Day ${currentDay}: ${count} place(s)` : "No selections saved yet";
+  const dayTotal = formatMoney(placesTotal(allDaySelections[currentDay]), tripData.currency);
+  el.textContent = count > 0 ? `Saved for Day ${currentDay}: ${count} place(s) · ${dayTotal}` : "No selections saved yet";
+
+  // End Day is offered once there is something to put on the itinerary
+  const endDayBtn = document.getElementById("endDayBtn");
+  if (endDayBtn) endDayBtn.classList.toggle("hidden", count === 0);
+}
+
+// -------------------- Suggestions up for a vote --------------------
+// On a shared trip editors suggest places for a day instead of (or before)
+// selecting them; every member votes and editors add the winners.
+async function suggestPlace(place) {
+  try {
+    const res = await plannerFetch(`/api/trips/${tripData.id}/days/${currentDay}/candidates`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ place }),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || `HTTP ${res.status}`);
+    dayCandidates[currentDay] = data.candidates;
+    renderCandidates();
+    showToast(data.message, "blue");
+  } catch (err) {
+    console.error("Error suggesting place:", err);
+    showToast(err.message || "Could not suggest the place", "red");
+  }
+}
+
+async function updateCandidate(dayNum, candidate, method, path, body) {
+  try {
+    const res = await plannerFetch(`/api/trips/${tripData.id}/days/${dayNum}/candidates/${encodeURIComponent(candidate.place.placeId)}${path}`, {
+      method,
+      headers: body ? { "Content-Type": "application/json" } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || `HTTP ${res.status}`);
+    dayCandidates[dayNum] = data.candidates;
+    if (currentDay === dayNum) renderCandidates();
+  } catch (err) {
+    console.error("Error updating suggestion:", err);
+    showToast(err.message || "Could not update the suggestion", "red");
+  }
+}
+
+function renderCandidates() {
+  const container = document.getElementById("candidates");
+  if (!container || currentDay == null) return;
+  const dayNum = currentDay;
+  const candidates = (dayCandidates[dayNum] || []).slice().sort((a, b) => b.score - a.score);
+  container.innerHTML = "";
+  container.classList.toggle("hidden", candidates.length === 0);
+  if (candidates.length === 0) return;
+
+  container.appendChild(el("h3", "font-semibold text-white", "🗳️ Up for a vote"));
+  candidates.forEach((candidate) => {
+    const { place } = candidate;
+    const myVote = (candidate.votes.find((vote) => vote.user === currentUserId) || {}).value || 0;
+    const row = document.createElement("div");
+    row.className = "recommendation-card flex flex-wrap items-center gap-2";
+    setHtml(row, html`
+      <div class="flex-grow">
+        <p class="font-semibold">${place.name}</p>
+        <p class="place-meta text-gray-400 text-xs">${formatPlaceMeta(place)}</p>
+      </div>
+      <span class="text-sm font-semibold w-8 text-center">${candidate.score > 0 ? `+${candidate.score}` : candidate.score}</span>
+      <button class="vote-up px-2 py-1 rounded text-sm ${myVote === 1 ? "bg-green-600" : "bg-white/10 hover:bg-white/20"}" title="Vote for">👍</button>
+      <button class="vote-down px-2 py-1 rounded text-sm ${myVote === -1 ? "bg-red-600" : "bg-white/10 hover:bg-white/20"}" title="Vote against">👎</button>
+    `);
+
+    // Voting the same way again takes the vote back
+    row.querySelector(".vote-up").addEventListener("click", () =>
+      updateCandidate(dayNum, candidate, "POST", "/vote", { value: myVote === 1 ? 0 : 1 }));
+    row.querySelector(".vote-down").addEventListener("click", () =>
+      updateCandidate(dayNum, candidate, "POST", "/vote", { value: myVote === -1 ? 0 : -1 }));
+
+    if (canEdit()) {
+      const add = el("button", "px-2 py-1 bg-green-600 hover:bg-green-700 text-white rounded text-xs", "Add to day");
+      add.addEventListener("click", () => {
+        if (!confirmWithinBudget(place)) return;
+        visitedPlaces[place.name] = true;
+        allDaySelections[dayNum].push(place);
+        // Saving the day drops planned places from the suggestions
+        dayCandidates[dayNum] = dayCandidates[dayNum].filter((item) => item !== candidate);
+        updateSavedSummary();
+        renderCandidates();
+        saveDay(dayNum);
+      });
+      const remove = el("button", "px-2 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-xs", "Remove");
+      remove.addEventListener("click", () => updateCandidate(dayNum, candidate, "DELETE", ""));
+      row.append(add, remove);
+    }
+    container.appendChild(row);
+  });
+}
+
+// -------------------- End Day: itinerary view --------------------
+function showItinerary(dayNum, dayName, dateStr) {
+  const completed = dayStatus[dayNum] === "completed";
+
+  setHtml(dayPlanContainer, html`
+    <div class="flex flex-col gap-4">
+      <div class="flex justify-between items-center">
+        <div>
+          <h2 class="text-2xl font-semibold text-white">Day ${dayNum} Itinerary</h2>
+          <p class="text-gray-400">${dayName}, ${dateStr}</p>
+        </div>
+        <button id="backToDayBtn" class="px-4 py-2 bg-white/10 hover:bg-white/20 text-white rounded-lg text-sm">Back to suggestions</button>
+      </div>
+      <p class="text-gray-400 text-sm">Drag places to reorder them. Add a time and a note to each stop.</p>
+      <div class="flex flex-wrap items-center gap-2">
+        <input type="text" id="startPointInput" maxlength="120" placeholder="Start from (hotel) – blank for city center" class="flex-grow px-3 py-1 rounded bg-white/10 border border-white/20 text-white text-sm"/>
+        <button id="optimizeRouteBtn" class="px-4 py-1 bg-[#0056b3] hover:bg-[#004998] text-white rounded text-sm">Optimize route</button>
+      </div>
+      <p id="routeSummary" class="text-gray-300 text-sm"></p>
+      <ol id="itineraryList" class="flex flex-col gap-3"></ol>
+      <label class="text-sm text-gray-300">
+        Notes for the day
+        <textarea id="dayNotes" rows="3" maxlength="2000" class="w-full mt-1 px-3 py-2 rounded-lg bg-white/10 border border-white/20 text-white"></textarea>
+      </label>
+      <button id="completeDayBtn" class="px-6 py-2 rounded-lg ${completed ? "bg-gray-600 hover:bg-gray-700" : "bg-green-600 hover:bg-green-700"} text-white font-semibold self-start">
+        ${completed ? "Reopen Day" : "Mark Day Complete"}
+      </button>
+    </div>
+  `);
+
+  const notes = document.getElementById("dayNotes");
+  notes.value = dayNotes[dayNum] || "";
+  notes.addEventListener("change", () => {
+    dayNotes[dayNum] = notes.value;
+    saveDay(dayNum);
+  });
+
+  const startPointInput = document.getElementById("startPointInput");
+  startPointInput.value = (tripData.startPoint && tripData.startPoint.name) || "";
+  document.getElementById("optimizeRouteBtn").addEventListener("click", () => optimizeDayRoute(dayNum, startPointInput.value.trim()));
+
+  document.getElementById("backToDayBtn").addEventListener("click", () => selectDay(dayNum, dayName, dateStr));
+  document.getElementById("completeDayBtn").addEventListener("click", () => {
+    dayStatus[dayNum] = completed ? "planned" : "completed";
+    updateDayCard(dayNum);
+    saveDay(dayNum);
+    if (!completed) showToast(`Day ${dayNum} complete! ${allDaySelections[dayNum].length} place(s) on the itinerary.`);
+    showItinerary(dayNum, dayName, dateStr);
+  });
+
+  // Viewers see the itinerary but cannot change it
+  if (!canEdit()) {
+    notes.disabled = true;
+    startPointInput.parentElement.classList.add("hidden");
+    document.getElementById("completeDayBtn").classList.add("hidden");
+  }
+
+  renderItineraryList(dayNum);
+}
+
+// Server reorders the day (nearest neighbour + 2-opt) from the hotel or city center
+async function optimizeDayRoute(dayNum, startName) {
+  const summary = document.getElementById("routeSummary");
+  if (!tripData.id || (allDaySelections[dayNum] || []).length < 2) {
+    summary.textContent = "Add at least two places to optimize the route.";
+    return;
+  }
+
+  summary.textContent = "Optimizing...";
+  await saveDay(dayNum);
+
+  try {
+    const res = await plannerFetch(`/api/trips/${tripData.id}/days/${dayNum}/optimize`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ startPoint: startName ? { name: startName } : null }),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      summary.textContent = data.message;
+      return;
+    }
+
+    allDaySelections[dayNum] = data.day.places;
+    tripData.startPoint = startName ? data.route.start : null;
+    renderItineraryList(dayNum);
+
+    const { route } = data;
+    summary.textContent = `From ${route.start.name}: ${route.totalKm} km, about ${route.travelMinutes} min of travel` +
+      (route.unlocated ? ` (${route.unlocated} place(s) without coordinates left at the end)` : "");
+  } catch (err) {
+    console.error("Error optimizing route:", err);
+    summary.textContent = "Could not optimize the route.";
+  }
+}
+
+function renderItineraryList(dayNum) {
+  const list = document.getElementById("itineraryList");
+  const places = allDaySelections[dayNum] || [];
+  list.innerHTML = "";
+
+  if (places.length === 0) {
+    list.innerHTML = `<p class="text-gray-400">No places on this day yet.</p>`;
+    return;
+  }
+
+  places.forEach((place, index) => {
+    const item = document.createElement("li");
+    item.className = "itinerary-item recommendation-card";
+    item.draggable = true;
+    item.dataset.index = index;
+    setHtml(item, html`
+      <div class="flex items-center gap-3">
+        <span class="drag-handle cursor-move text-gray-400" title="Drag to reorder">☰</span>
+        <span class="font-semibold">${index + 1}. ${place.name}</span>
+        <button class="remove-btn ml-auto px-2 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-xs">Remove</button>
+      </div>
+      <div class="flex gap-2">
+        <input type="time" class="time-input px-2 py-1 rounded bg-white/10 border border-white/20 text-white text-sm"/>
+        <input type="text" class="note-input flex-grow px-2 py-1 rounded bg-white/10 border border-white/20 text-white text-sm" maxlength="500" placeholder="Note (tickets, who to meet...)"/>
+      </div>
+    `);
+
+    const timeInput = item.querySelector(".time-input");
+    const noteInput = item.querySelector(".note-input");
+    timeInput.value = place.time || "";
+    noteInput.value = place.note || "";
+
+    if (!canEdit()) {
+      item.draggable = false;
+      timeInput.disabled = true;
+      noteInput.disabled = true;
+      item.querySelector(".drag-handle").remove();
+      item.querySelector(".remove-btn").remove();
+      list.appendChild(item);
+      return;
+    }
+
+    timeInput.addEventListener("change", () => {
+      place.time = timeInput.value;
+      saveDay(dayNum);
+    });
+    noteInput.addEventListener("change", () => {
+      place.note = noteInput.value;
+      saveDay(dayNum);
+    });
+    item.querySelector(".remove-btn").addEventListener("click", () => {
+      places.splice(index, 1);
+      delete visitedPlaces[place.name];
+      renderItineraryList(dayNum);
+      saveDay(dayNum);
+    });
+
+    // Drag to reorder
+    item.addEventListener("dragstart", (e) => {
+      e.dataTransfer.effectAllowed = "move";
+      e.dataTransfer.setData("text/plain", String(index));
+      item.classList.add("dragging");
+    });
+    item.addEventListener("dragend", () => item.classList.remove("dragging"));
+    item.addEventListener("dragover", (e) => e.preventDefault());
+    item.addEventListener("drop", (e) => {
+      e.preventDefault();
+      const from = Number(e.dataTransfer.getData("text/plain"));
+      if (Number.isNaN(from) || from === index) return;
+      const [moved] = places.splice(from, 1);
+      places.splice(index, 0, moved);
+      renderItineraryList(dayNum);
+      saveDay(dayNum);
+    });
+
+    list.appendChild(item);
+  });
 }
 
 // -------------------- Show all saved slots --------------------
@@ -214,24 +1189,24 @@ function showAllSavedSlots() {
     if (daySlots && daySlots.length > 0) {
       const daySection = document.createElement("div");
       daySection.className = "mb-6";
-      daySection.innerHTML = `
+      setHtml(daySection, html`
         <h4 class="text-lg font-semibold text-white mb-3">Day ${dayNum}</h4>
         <div class="grid grid-cols-2 md:grid-cols-4 gap-3" id="day-${dayNum}-list"></div>
-      `;
+      `);
       content.appendChild(daySection);
 
       const dayListContainer = document.getElementById(`day-${dayNum}-list`);
       daySlots.forEach((item) => {
         const card = document.createElement("div");
         card.className = "recommendation-card";
-        card.innerHTML = `
+        setHtml(card, html`
           <h5 class="font-semibold text-lg">${item.name}</h5>
           <p class="text-sm mb-1">${item.description}</p>
-          <p class="text-xs mb-2">${item.distance}</p>
-          <button class="px-2 py-1 bg-green-600 text-white rounded text-xs" data-url="${item.mapUrl}">Open in Map</button>
-        `;
+          <p class="text-xs mb-2">${formatPlaceMeta(item)}</p>
+          <button class="px-2 py-1 bg-green-600 text-white rounded text-xs" data-url="${safeUrl(item.mapUrl)}">Open in Map</button>
+        `);
         card.querySelector("button").addEventListener("click", (e) => {
-          window.open(e.target.dataset.url, "_blank");
+          window.open(e.target.dataset.url, "_blank", "noopener");
         });
         dayListContainer.appendChild(card);
       });
@@ -0,0 +1,39 @@
+// -------------------- Session helpers --------------------
+// The session itself lives in an httpOnly cookie set by POST /login,
+// so pages only ever ask the server who is signed in.
+
+// Resolves to the signed-in user, or null when there is no valid session
+async function getCurrentUser() {
+  try {
+    const res = await fetch("/me", { credentials: "same-origin" });
+    if (!res.ok) return null;
+    const data = await res.json();
+    return data.user || null;
+  } catch (err) {
+    console.error("Could not check session:", err);
+    return null;
+  }
+}
+
+// Send the visitor to the login page, coming back here afterwards
+function redirectToLogin() {
+  const next = window.location.pathname + window.location.search;
+  window.location.href = `login.html?next=${encodeURIComponent(next)}`;
+}
+
+// fetch() for per-user APIs: a 401 means the session expired
+async function apiFetch(url, options = {}) {
+  const res = await fetch(url, { credentials: "same-origin", ...options });
+  if (res.status === 401) {
+    redirectToLogin();
+    throw new Error("Session expired");
+  }
+  return res;
+}
+
+async function logout() {
+  await fetch("/logout", { method: "POST", credentials: "same-origin" });
+  // Trips kept for offline use (js/offline.js) go with the session
+  if (window.indexedDB) indexedDB.deleteDatabase("triptrove");
+  window.location.href = "/";
+}
@@ -0,0 +1,260 @@
+// -------------------- Trip sharing --------------------
+// Used by the planner (needs js/session.js and js/render.js).
+// openSharePanel(tripId, role, options) lists the trip's members. The owner
+// can invite co-travelers by username or email (they join once they accept),
+// cancel pending invitations, change roles, remove members and turn the
+// read-only share link on or off; other members can leave.
+// options.onMembers(members) runs whenever the member list is loaded or
+// changes; options.onLeave() runs after the signed-in member leaves the trip.
+
+const TRIP_ROLES = { editor: "Editor – plans days", viewer: "Viewer – reads and votes" };
+
+async function tripRequest(url, method = "GET", body) {
+  const res = await apiFetch(url, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.message || "Something went wrong");
+  return data;
+}
+
+function roleSelect(value) {
+  const select = el("select", "bg-gray-800 rounded px-2 py-1 text-sm");
+  Object.entries(TRIP_ROLES).forEach(([role, label]) => {
+    const option = el("option", "", label);
+    option.value = role;
+    select.appendChild(option);
+  });
+  select.value = value || "viewer";
+  return select;
+}
+
+async function openSharePanel(tripId, role, options = {}) {
+  closeSharePanel();
+
+  const overlay = el("div", "fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 p-4");
+  overlay.id = "sharePanel";
+  const panel = el("div", "bg-gray-900 text-white rounded-xl w-full max-w-lg max-h-full overflow-y-auto p-6 flex flex-col gap-3");
+  overlay.appendChild(panel);
+  overlay.addEventListener("click", (e) => { if (e.target === overlay) closeSharePanel(); });
+  document.addEventListener("keydown", closeShareOnEscape);
+
+  const header = el("div", "flex justify-between items-start gap-4");
+  header.appendChild(el("h3", "text-xl font-semibold", "👥 Trip members"));
+  const closeBtn = el("button", "text-gray-400 hover:text-white text-2xl leading-none", "×");
+  closeBtn.setAttribute("aria-label", "Close");
+  closeBtn.addEventListener("click", closeSharePanel);
+  header.appendChild(closeBtn);
+
+  const message = el("p", "text-sm");
+  const list = el("div", "flex flex-col gap-2");
+  list.appendChild(el("p", "text-gray-400 text-sm", "Loading members..."));
+  panel.append(header, message, list);
+
+  const showMessage = (text, ok) => {
+    message.textContent = text;
+    message.className = `text-sm ${ok ? "text-green-400" : "text-red-400"}`;
+  };
+
+  const user = await getCurrentUser();
+  const pending = el("div", "flex flex-col gap-2");
+  const refresh = ({ members, invites }) => {
+    renderMemberList(list, tripId, role, user, members, showMessage, options);
+    if (invites) renderInviteList(pending, tripId, invites, showMessage);
+    if (options.onMembers) options.onMembers(members);
+  };
+
+  if (role === "owner") {
+    panel.appendChild(pending);
+    panel.appendChild(renderInviteForm(tripId, showMessage, refresh));
+    panel.appendChild(await renderShareLink(tripId, showMessage));
+  }
+  document.body.appendChild(overlay);
+
+  try {
+    refresh(await tripRequest(`/api/trips/${tripId}/members`));
+  } catch (err) {
+    list.replaceChildren(el("p", "text-red-400 text-sm", err.message));
+  }
+}
+
+function closeSharePanel() {
+  const existing = document.getElementById("sharePanel");
+  if (existing) existing.remove();
+  document.removeEventListener("keydown", closeShareOnEscape);
+}
+
+function closeShareOnEscape(e) {
+  if (e.key === "Escape") closeSharePanel();
+}
+
+function renderMemberList(list, tripId, role, user, members, showMessage, options) {
+  list.replaceChildren();
+  members.forEach((member) => {
+    const row = el("div", "flex items-center justify-between gap-3 border-t border-gray-700 pt-2");
+    const name = el("div");
+    name.appendChild(el("p", "font-semibold text-sm", member.displayName || member.username));
+    name.appendChild(el("p", "text-gray-400 text-xs", `@${member.username}`));
+    row.appendChild(name);
+
+    const actions = el("div", "flex items-center gap-2");
+    const isMe = user && member.id === user.id;
+
+    if (member.role === "owner") {
+      actions.appendChild(el("span", "text-xs text-yellow-300", "Owner"));
+    } else if (role === "owner") {
+      const select = roleSelect(member.role);
+      select.addEventListener("change", async () => {
+        try {
+          const data = await tripRequest(`/api/trips/${tripId}/members/${member.id}`, "PUT", { role: select.value });
+          showMessage(data.message, true);
+        } catch (err) {
+          showMessage(err.message, false);
+        }
+      });
+      const remove = el("button", "px-2 py-1 bg-red-600 hover:bg-red-700 rounded text-xs", "Remove");
+      remove.addEventListener("click", async () => {
+        if (!confirm(`Remove ${member.username} from this trip?`)) return;
+        try {
+          const data = await tripRequest(`/api/trips/${tripId}/members/${member.id}`, "DELETE");
+          showMessage(data.message, true);
+          renderMemberList(list, tripId, role, user, data.members, showMessage, options);
+          if (options.onMembers) options.onMembers(data.members);
+        } catch (err) {
+          showMessage(err.message, false);
+        }
+      });
+      actions.append(select, remove);
+    } else {
+      actions.appendChild(el("span", "text-xs text-gray-300", member.role === "editor" ? "Editor" : "Viewer"));
+      if (isMe) {
+        const leave = el("button", "px-2 py-1 bg-red-600 hover:bg-red-700 rounded text-xs", "Leave trip");
+        leave.addEventListener("click", async () => {
+          if (!confirm("Leave this trip? You will need a new invite to come back.")) return;
+          try {
+            await tripRequest(`/api/trips/${tripId}/members/${member.id}`, "DELETE");
+            closeSharePanel();
+            if (options.onLeave) options.onLeave();
+          } catch (err) {
+            showMessage(err.message, false);
+          }
+        });
+        actions.appendChild(leave);
+      }
+    }
+
+    row.appendChild(actions);
+    list.appendChild(row);
+  });
+}
+
+// Invitations nobody has accepted yet, each with a Cancel button
+function renderInviteList(container, tripId, invites, showMessage) {
+  container.replaceChildren();
+  if (invites.length === 0) return;
+  container.appendChild(el("h4", "font-semibold text-sm text-gray-300", "Waiting to accept"));
+  invites.forEach((invite) => {
+    const row = el("div", "flex items-center justify-between gap-3");
+    row.appendChild(el("p", "text-sm text-gray-300", `${invite.identifier} · ${invite.role === "editor" ? "Editor" : "Viewer"}`));
+    const cancel = el("button", "px-2 py-1 bg-white/10 hover:bg-white/20 rounded text-xs", "Cancel");
+    cancel.addEventListener("click", async () => {
+      try {
+        const data = await tripRequest(`/api/trips/${tripId}/invites/${invite.id}`, "DELETE");
+        showMessage(data.message, true);
+        renderInviteList(container, tripId, data.invites, showMessage);
+      } catch (err) {
+        showMessage(err.message, false);
+      }
+    });
+    row.appendChild(cancel);
+    container.appendChild(row);
+  });
+}
+
+function renderInviteForm(tripId, showMessage, refresh) {
+  const form = el("form", "flex flex-col gap-2 border border-gray-700 rounded-lg p-3");
+  form.appendChild(el("h4", "font-semibold text-sm", "Invite a co-traveler"));
+
+  const row = el("div", "flex gap-2 flex-wrap");
+  const identifier = el("input", "flex-grow bg-gray-800 rounded px-2 py-1 text-sm");
+  identifier.placeholder = "Username or email";
+  identifier.maxLength = 254;
+  const select = roleSelect("editor");
+  const submit = el("button", "px-3 py-1 bg-green-600 hover:bg-green-700 rounded text-sm", "Invite");
+  submit.type = "submit";
+  row.append(identifier, select, submit);
+  form.appendChild(row);
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    try {
+      const data = await tripRequest(`/api/trips/${tripId}/members`, "POST", {
+        identifier: identifier.value.trim(),
+        role: select.value,
+      });
+      identifier.value = "";
+      showMessage(data.message, true);
+      refresh(data);
+    } catch (err) {
+      showMessage(err.message, false);
+    }
+  });
+  return form;
+}
+
+// Read-only link: anyone with it can see the itinerary without signing in
+async function renderShareLink(tripId, showMessage) {
+  const box = el("div", "flex flex-col gap-2 border border-gray-700 rounded-lg p-3");
+  box.appendChild(el("h4", "font-semibold text-sm", "Read-only link"));
+  const body = el("div", "flex flex-col gap-2");
+  box.appendChild(body);
+
+  const render = (url) => {
+    body.replaceChildren();
+    if (!url) {
+      body.appendChild(el("p", "text-gray-400 text-xs", "Anyone with the link can view the itinerary, without signing in."));
+      const create = el("button", "self-start px-3 py-1 bg-[#0056b3] hover:bg-[#004998] rounded text-sm", "Create link");
+      create.addEventListener("click", () => update("POST"));
+      body.appendChild(create);
+      return;
+    }
+
+    const input = el("input", "bg-gray-800 rounded px-2 py-1 text-xs w-full");
+    input.readOnly = true;
+    input.value = url;
+    const actions = el("div", "flex gap-2");
+    const copy = el("button", "px-3 py-1 bg-[#0056b3] hover:bg-[#004998] rounded text-sm", "Copy");
+    copy.addEventListener("click", async () => {
+      try {
+        await navigator.clipboard.writeText(url);
+        showMessage("Link copied", true);
+      } catch (err) {
+        input.select();
+      }
+    });
+    const revoke = el("button", "px-3 py-1 bg-red-600 hover:bg-red-700 rounded text-sm", "Turn off");
+    revoke.addEventListener("click", () => update("DELETE"));
+    actions.append(copy, revoke);
+    body.append(input, actions);
+  };
+
+  const update = async (method) => {
+    try {
+      const data = await tripRequest(`/api/trips/${tripId}/share`, method);
+      showMessage(data.message, true);
+      render(data.url);
+    } catch (err) {
+      showMessage(err.message, false);
+    }
+  };
+
+  try {
+    const { url } = await tripRequest(`/api/trips/${tripId}/share`);
+    render(url);
+  } catch (err) {
+    body.appendChild(el("p", "text-red-400 text-xs", err.message));
+  }
+  return box;
+}
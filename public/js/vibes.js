@@ -0,0 +1,31 @@
+// -------------------- Vibe taxonomy --------------------
+// Every vibe picker renders from GET /vibes (services/vibes.js on the server):
+// [{ id, label, icon, synonyms, categories, setting }]. Pages send `label`.
+
+let vibesRequest = null;
+
+// Loads the taxonomy once per page; resolves to [] if the server is unreachable
+function loadVibes() {
+  if (!vibesRequest) {
+    vibesRequest = fetch("/vibes")
+      .then((res) => (res.ok ? res.json() : { vibes: [] }))
+      .then((data) => data.vibes || [])
+      .catch((err) => {
+        console.error("Could not load vibes:", err);
+        return [];
+      });
+  }
+  return vibesRequest;
+}
+
+// Finds a vibe by id, label or synonym, ignoring case ("Historical" -> Historic)
+function findVibe(vibes, name) {
+  const key = String(name || "").trim().toLowerCase();
+  return vibes.find((vibe) =>
+    [vibe.id, vibe.label].concat(vibe.synonyms).some((value) => value.toLowerCase() === key)) || null;
+}
+
+// True when `names` (e.g. saved preferences) include the vibe under any name
+function hasVibe(vibes, names, vibe) {
+  return (names || []).some((name) => findVibe(vibes, name) === vibe);
+}
@@ -0,0 +1,71 @@
+// -------------------- Service worker --------------------
+// Keeps the planner's app shell (pages, styles including the built Tailwind
+// stylesheet, and scripts) in a cache so ind.html and front.html open without
+// a connection.
+// Shell files are served network-first, so a deploy shows up on the next
+// online load, and from the cache when the network fails. API calls are
+// left alone: saved trips live in IndexedDB (see js/offline.js).
+// Bump SHELL_CACHE when the list below changes.
+
+const SHELL_CACHE = "triptrove-shell-v2";
+
+const SHELL = [
+  "/ind.html",
+  "/front.html",
+  "/manifest.webmanifest",
+  "/icons/icon.svg",
+  "/css/tailwind.css",
+  "/css/styles.css",
+  "/css/suggest.css",
+  "/js/session.js",
+  "/js/render.js",
+  "/js/offline.js",
+  "/js/bookmarks.js",
+  "/js/reviews.js",
+  "/js/vibes.js",
+  "/js/budget.js",
+  "/js/recommendations.js",
+  "/js/trip-sharing.js",
+  "/js/scripts.js",
+  "/js/front.js",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(SHELL);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter((name) => name !== SHELL_CACHE).map((name) => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+function isShellRequest(url) {
+  return url.origin === self.location.origin && SHELL.includes(url.pathname);
+}
+
+self.addEventListener("fetch", (event) => {
+  if (event.request.method !== "GET") return;
+  const url = new URL(event.request.url);
+  if (!isShellRequest(url)) return;
+
+  event.respondWith((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+      const res = await fetch(event.request);
+      // ?trip=<id> and friends share one cached copy of the page
+      if (res.ok) await cache.put(url.origin + url.pathname, res.clone());
+      return res;
+    } catch (err) {
+      const cached = await cache.match(event.request, { ignoreSearch: true });
+      if (cached) return cached;
+      throw err;
+    }
+  })());
+});
@@ -0,0 +1,25 @@
+const express = require('express');
+const { requireAdmin } = require('../middleware/auth');
+const { purge } = require('../services/cache');
+const { cityCacheKey } = require('../services/recommender');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// Purge cached recommendations: all of them, or one city's with ?city=
+router.delete('/cache', async (req, res, next) => {
+  const city = String(req.query.city || '').trim();
+
+  try {
+    const removed = await purge(city ? cityCacheKey(city) : '');
+    res.json({
+      message: city ? `Cleared cached recommendations for ${city}` : 'Cleared all cached recommendations',
+      removed
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,199 @@
+const express = require('express');
+const User = require('../model/user');
+const { setSessionCookie, clearSessionCookie, requireAuth } = require('../middleware/auth');
+const { rateLimit, byEmail } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/mail');
+
+const router = express.Router();
+
+const FILL_ALL = 'Please fill in all fields';
+const MINUTE = 60 * 1000;
+
+// bcrypt only reads the first 72 bytes of a password, so longer ones are refused
+const signupSchema = {
+  username: {
+    type: 'string', required: true, requiredMessage: FILL_ALL, label: 'Username', min: 3, max: 30,
+    pattern: /^[A-Za-z0-9_.-]+$/, message: 'Username may only contain letters, numbers, dots, dashes and underscores'
+  },
+  email: { type: 'string', required: true, requiredMessage: FILL_ALL, label: 'Email', max: 254 },
+  password: { type: 'string', required: true, requiredMessage: FILL_ALL, label: 'Password', min: 6, max: 72 }
+};
+
+const loginSchema = {
+  email: { type: 'string', required: true, requiredMessage: FILL_ALL, label: 'Email', max: 254 },
+  password: { type: 'string', required: true, requiredMessage: FILL_ALL, label: 'Password', max: 72 }
+};
+
+const loginLimits = [
+  rateLimit({ name: 'login-ip', windowMs: 15 * MINUTE, max: 20 }),
+  rateLimit({ name: 'login-account', windowMs: 15 * MINUTE, max: 10, keyFor: byEmail })
+];
+const signupLimit = rateLimit({ name: 'signup-ip', windowMs: 60 * MINUTE, max: 5 });
+const resetLimits = [
+  rateLimit({ name: 'reset-ip', windowMs: 60 * MINUTE, max: 10 }),
+  rateLimit({ name: 'reset-account', windowMs: 60 * MINUTE, max: 3, keyFor: byEmail })
+];
+
+// Register a new user
+router.post('/signup', signupLimit, validate(signupSchema), async (req, res) => {
+  const { username, email, password } = req.body;
+
+  try {
+    const existing = await User.findOne({
+      $or: [{ email: String(email).toLowerCase().trim() }, { username: String(username).trim() }]
+    });
+
+    if (existing) {
+      const message = existing.email === String(email).toLowerCase().trim()
+        ? 'Email is already registered'
+        : 'Username is already taken';
+      return res.status(409).json({ message });
+    }
+
+    const user = new User({ username, email, password });
+    const token = user.createToken('verify');
+    await user.save();
+
+    // The account works before verification, so a mail failure must not fail signup
+    sendVerificationEmail(user, token)
+      .catch((error) => console.error('Verification email failed:', error.message));
+
+    res.status(201).json({ message: 'Account created successfully. Check your email to confirm your address.', user: user.toPublicJSON() });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const first = Object.values(error.errors)[0];
+      return res.status(400).json({ message: first ? first.message : 'Invalid signup details' });
+    }
+    // Unique index race between the lookup above and save()
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyPattern || {})[0];
+      const message = field === 'email' ? 'Email is already registered' : 'Username is already taken';
+      return res.status(409).json({ message });
+    }
+    console.error('Signup error:', error);
+    res.status(500).json({ message: 'Server error. Please try again.' });
+  }
+});
+
+// Authenticate an existing user. Repeated wrong passwords lock the account
+// with a growing backoff (see model/user.js).
+router.post('/login', loginLimits, validate(loginSchema), async (req, res) => {
+  const { email, password } = req.body;
+
+  try {
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+    if (user && user.lockRemainingMs() > 0) {
+      res.set('Retry-After', String(Math.ceil(user.lockRemainingMs() / 1000)));
+      return res.status(429).json({ message: user.lockoutMessage() });
+    }
+
+    if (!user || !(await user.comparePassword(password))) {
+      if (user) await user.registerFailedLogin();
+      return res.status(401).json({ message: 'Invalid email or password' });
+    }
+
+    if (user.failedLogins || user.lockUntil) {
+      user.resetFailedLogins();
+      await user.save({ validateModifiedOnly: true });
+    }
+
+    setSessionCookie(res, user);
+    res.json({ message: 'Login successful', user: user.toPublicJSON() });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ message: 'Server error. Please try again.' });
+  }
+});
+
+// End the current session
+router.post('/logout', (req, res) => {
+  clearSessionCookie(res);
+  res.json({ message: 'Logged out' });
+});
+
+// Link from the verification email; lands back on the login page either way
+router.get('/verify-email', async (req, res, next) => {
+  try {
+    const user = await User.findByToken('verify', req.query.token);
+    if (!user) return res.redirect('/login.html?verified=0');
+
+    user.emailVerified = true;
+    user.clearToken('verify');
+    await user.save();
+    res.redirect('/login.html?verified=1');
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/verify-email/resend', requireAuth, async (req, res, next) => {
+  if (req.user.emailVerified) return res.json({ message: 'Your email is already verified' });
+
+  try {
+    const token = req.user.createToken('verify');
+    await req.user.save();
+    await sendVerificationEmail(req.user, token);
+    res.json({ message: `Verification email sent to ${req.user.email}` });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Always answers the same way, so the form cannot be used to probe for
+// accounts: the email goes out in the background and a mail failure is only logged
+router.post('/forgot-password', resetLimits, validate({
+  email: { type: 'string', required: true, requiredMessage: 'Please enter your email', label: 'Email', max: 254 }
+}), async (req, res, next) => {
+  const email = req.body.email.toLowerCase().trim();
+
+  try {
+    const user = await User.findOne({ email });
+    if (user) {
+      const token = user.createToken('reset');
+      await user.save();
+      sendPasswordResetEmail(user, token)
+        .catch((error) => console.error('Password reset email failed:', error.message));
+    }
+    res.json({ message: 'If that email is registered, a reset link is on its way' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Single use: the token is cleared with the new password, which the
+// pre('save') hook hashes like any other. Every existing session ends, so a
+// stolen session cookie stops working too.
+router.post('/reset-password', resetLimits[0], validate({
+  token: { type: 'string', required: true, requiredMessage: FILL_ALL, label: 'Reset token', max: 128 },
+  password: { type: 'string', required: true, requiredMessage: FILL_ALL, label: 'Password', min: 6, max: 72 }
+}), async (req, res, next) => {
+  const { token, password } = req.body;
+
+  try {
+    const user = await User.findByToken('reset', token);
+    if (!user) return res.status(400).json({ message: 'This reset link is invalid or has expired' });
+
+    user.password = password;
+    user.clearToken('reset');
+    user.resetFailedLogins();
+    user.endSessions();
+    user.emailVerified = true; // they just proved they read this inbox
+    await user.save();
+    res.json({ message: 'Password updated. You can sign in now.' });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const first = Object.values(error.errors)[0];
+      return res.status(400).json({ message: first ? first.message : 'Invalid password' });
+    }
+    next(error);
+  }
+});
+
+// Who is signed in, with their preferences so pages can pre-fill forms
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ user: req.user.toProfileJSON() });
+});
+
+module.exports = router;
@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const mailDir = path.join(os.tmpdir(), `triptrove-mail-test-${process.pid}`);
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_DIR = mailDir;
+process.env.APP_URL = 'https://triptrove.example.com';
+process.env.SESSION_SECRET = 'test-secret';
+
+const User = require('../model/user');
+const { createToken } = require('../middleware/auth');
+const app = require('../server');
+
+// True when `user` satisfies a filter (plain values, _id, $gt and $or)
+function matches(user, query) {
+  return Object.entries(query).every(([field, condition]) => {
+    if (field === '$or') return condition.some((option) => matches(user, option));
+    if (field === '_id') return user._id.equals(condition);
+    if (condition && condition.$gt !== undefined) return user[field] > condition.$gt;
+    return user[field] === condition;
+  });
+}
+
+// Stands in for the users collection (lookups, the lockout's $inc and $max
+// updates); save() still runs the pre('save')
+// hooks, so passwords are hashed as they would be in MongoDB
+function useUsers(t, users) {
+  t.mock.method(User, 'findOne', async (query) => users.find((user) => matches(user, query)) || null);
+  t.mock.method(User, 'findById', async (id) => users.find((user) => user.id === String(id)) || null);
+  t.mock.method(User, 'findOneAndUpdate', async (query, { $inc }) => {
+    const user = users.find((candidate) => matches(candidate, query));
+    if (!user) return null;
+    Object.entries($inc).forEach(([field, by]) => { user[field] = (user[field] || 0) + by; });
+    return user;
+  });
+  t.mock.method(User, 'updateOne', async (query, { $max }) => {
+    const user = users.find((candidate) => matches(candidate, query));
+    Object.entries($max).forEach(([field, value]) => {
+      if (!(user[field] >= value)) user[field] = value;
+    });
+  });
+  t.mock.method(User.prototype, 'save', async function() {
+    await new Promise((resolve, reject) =>
+      User.schema.s.hooks.execPre('save', this, [], (error) => (error ? reject(error) : resolve())));
+    await this.validate();
+    return this;
+  });
+}
+
+// The newest email in MAIL_DIR, waiting for it since sending is not awaited
+async function readMail() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const files = await fs.readdir(mailDir).catch(() => []);
+    if (files.length) {
+      const newest = files.sort().pop();
+      return JSON.parse(await fs.readFile(path.join(mailDir, newest), 'utf8'));
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error('No email was sent');
+}
+
+async function withServer(fn) {
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const request = async (method, url, { body, token } = {}) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const res = await fetch(`${base}${url}`, { method, headers, body: body && JSON.stringify(body) });
+    return { status: res.status, body: await res.json() };
+  };
+  try {
+    await fn(request);
+  } finally {
+    server.close();
+  }
+}
+
+test.after(() => fs.rm(mailDir, { recursive: true, force: true }));
+
+test('password reset by email link ends every existing session', async (t) => {
+  const user = new User({ username: 'ana', email: 'ana@example.com', password: 'old-secret' });
+  useUsers(t, [user]);
+  await user.save(); // hashes the password like a real signup
+  const oldSession = createToken(user);
+
+  await withServer(async (request) => {
+    assert.equal((await request('GET', '/me', { token: oldSession })).status, 200);
+
+    const forgot = await request('POST', '/forgot-password', { body: { email: 'ANA@example.com' } });
+    assert.equal(forgot.status, 200);
+
+    const mail = await readMail();
+    assert.equal(mail.to, 'ana@example.com');
+    const link = mail.text.match(/https:\/\/triptrove\.example\.com\/reset-password\.html\?token=([a-f0-9]+)/);
+    assert.ok(link, 'the email carries a reset link on APP_URL');
+
+    const reset = await request('POST', '/reset-password', { body: { token: link[1], password: 'new-secret' } });
+    assert.equal(reset.status, 200);
+    assert.ok(await user.comparePassword('new-secret'));
+
+    assert.equal((await request('GET', '/me', { token: oldSession })).status, 401);
+    assert.equal((await request('GET', '/me', { token: createToken(user) })).status, 200);
+
+    const reused = await request('POST', '/reset-password', { body: { token: link[1], password: 'other-secret' } });
+    assert.equal(reused.status, 400);
+  });
+});
+
+test('forgot-password answers the same for unknown addresses and sends nothing', async (t) => {
+  useUsers(t, []);
+  await fs.rm(mailDir, { recursive: true, force: true });
+
+  await withServer(async (request) => {
+    const forgot = await request('POST', '/forgot-password', { body: { email: 'nobody@example.com' } });
+    assert.equal(forgot.status, 200);
+    assert.equal(forgot.body.message, 'If that email is registered, a reset link is on its way');
+  });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.deepEqual(await fs.readdir(mailDir).catch(() => []), []);
+});
+
+test('5 wrong passwords in a row lock the account, even against the right one', async (t) => {
+  const user = new User({ username: 'ben', email: 'ben@example.com', password: 'right-secret' });
+  useUsers(t, [user]);
+  await user.save();
+
+  await withServer(async (request) => {
+    const login = (password) => request('POST', '/login', { body: { email: 'ben@example.com', password } });
+
+    // Sent together, as a scripted guesser would: every one is counted
+    const guesses = await Promise.all([1, 2, 3, 4].map((i) => login(`guess-${i}`)));
+    assert.deepEqual(guesses.map((res) => res.status), [401, 401, 401, 401]);
+    assert.equal(user.failedLogins, 4);
+    assert.equal(user.lockRemainingMs(), 0);
+
+    assert.equal((await login('guess-5')).status, 401);
+    const remaining = user.lockRemainingMs();
+    assert.ok(remaining > 59 * 1000 && remaining <= 60 * 1000, `locked for ${remaining} ms`);
+
+    const locked = await login('right-secret');
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.message, 'Too many failed sign-in attempts. Try again in 1 minute.');
+  });
+});
+
+test('each failure past the threshold doubles the lock, up to an hour', async (t) => {
+  const user = new User({ username: 'cam', email: 'cam@example.com', password: 'right-secret', failedLogins: 5 });
+  useUsers(t, [user]);
+
+  await user.registerFailedLogin();
+  assert.ok(user.lockRemainingMs() > 119 * 1000 && user.lockRemainingMs() <= 120 * 1000);
+
+  user.failedLogins = 20;
+  await user.registerFailedLogin();
+  assert.ok(user.lockRemainingMs() > 59 * 60 * 1000 && user.lockRemainingMs() <= 60 * 60 * 1000);
+});
@@ -0,0 +1,172 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Collection = require('../model/collection');
+const Trip = require('../model/trip');
+const { requireAuth } = require('../middleware/auth');
+const { toSavedPlace } = require('../services/place');
+const { applyTripCosts } = require('../services/cost');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+function sendValidationError(res, error) {
+  const first = Object.values(error.errors)[0];
+  res.status(400).json({ message: first ? first.message : 'Invalid collection details' });
+}
+
+// Loads :id for the signed-in owner, or answers 404
+async function loadCollection(req, res, next) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ message: 'Collection not found' });
+  }
+
+  try {
+    const collection = await Collection.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!collection) return res.status(404).json({ message: 'Collection not found' });
+    req.collection = collection;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// List collections with their places
+router.get('/', async (req, res, next) => {
+  try {
+    const collections = await Collection.find({ owner: req.user._id }).sort({ name: 1 });
+    res.json({ collections });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/', async (req, res, next) => {
+  const name = String((req.body && req.body.name) || '').trim();
+  if (!name) return res.status(400).json({ message: 'Collection name is required' });
+
+  try {
+    const collection = await Collection.create({ owner: req.user._id, name });
+    res.status(201).json({ message: 'Collection created', collection });
+  } catch (error) {
+    if (error.code === 11000) return res.status(409).json({ message: 'You already have a collection with that name' });
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    next(error);
+  }
+});
+
+// Bookmark button: save a place into the default "Favorites" collection
+router.post('/bookmark', async (req, res, next) => {
+  const place = toSavedPlace(req.body && req.body.place);
+  if (!place) return res.status(400).json({ message: 'A place with a name is required' });
+
+  try {
+    const collection = await Collection.findOrCreateDefault(req.user._id);
+    const added = collection.addPlace(place);
+    if (added) await collection.save();
+    res.status(added ? 201 : 200).json({
+      message: added ? `Saved to ${collection.name}` : `Already in ${collection.name}`,
+      collection
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    next(error);
+  }
+});
+
+// Rename
+router.put('/:id', loadCollection, async (req, res, next) => {
+  const name = String((req.body && req.body.name) || '').trim();
+  if (!name) return res.status(400).json({ message: 'Collection name is required' });
+
+  try {
+    req.collection.name = name;
+    await req.collection.save();
+    res.json({ message: 'Collection renamed', collection: req.collection });
+  } catch (error) {
+    if (error.code === 11000) return res.status(409).json({ message: 'You already have a collection with that name' });
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    next(error);
+  }
+});
+
+router.delete('/:id', loadCollection, async (req, res, next) => {
+  try {
+    await req.collection.deleteOne();
+    res.json({ message: 'Collection deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/:id/places', loadCollection, async (req, res, next) => {
+  const place = toSavedPlace(req.body && req.body.place);
+  if (!place) return res.status(400).json({ message: 'A place with a name is required' });
+
+  try {
+    const added = req.collection.addPlace(place);
+    if (added) await req.collection.save();
+    res.status(added ? 201 : 200).json({
+      message: added ? 'Place added' : 'Place is already in this collection',
+      collection: req.collection
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    next(error);
+  }
+});
+
+router.delete('/:id/places/:placeId', loadCollection, async (req, res, next) => {
+  const before = req.collection.places.length;
+  req.collection.places = req.collection.places.filter((place) => place.placeId !== req.params.placeId);
+  if (req.collection.places.length === before) {
+    return res.status(404).json({ message: 'Place not found in this collection' });
+  }
+
+  try {
+    await req.collection.save();
+    res.json({ message: 'Place removed', collection: req.collection });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Start a new trip from a collection: its places are spread over the days in order
+router.post('/:id/trip', loadCollection, async (req, res, next) => {
+  const { startDate, endDate, title } = req.body || {};
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  if (!startDate || !endDate || isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return res.status(400).json({ message: 'Start date and end date are required' });
+  }
+
+  const places = req.collection.places;
+  const city = (req.body && req.body.city) || (places[0] && places[0].city);
+  if (!city) return res.status(400).json({ message: 'City is required for an empty collection' });
+
+  try {
+    const trip = new Trip({
+      owner: req.user._id,
+      title: title || req.collection.name,
+      city,
+      startDate: start,
+      endDate: end,
+      currency: req.user.preferences.currency
+    });
+    trip.syncDays();
+
+    const perDay = Math.ceil(places.length / Math.max(1, trip.days.length));
+    trip.days.forEach((day, index) => {
+      day.places = places.slice(index * perDay, (index + 1) * perDay).map((place) => place.toObject());
+    });
+    applyTripCosts(trip);
+
+    await trip.save();
+    res.status(201).json({ message: 'Trip created', trip });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const express = require('express');
+const { requireAuth, setSessionCookie } = require('../middleware/auth');
+const { rateLimit, byUser } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { canonicalVibes } = require('../services/vibes');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Changing the password checks the current one, so it is limited per account
+// and wrong guesses count toward the same lockout as POST /login
+const passwordChangeLimit = rateLimit({
+  name: 'password-change',
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyFor: (req) => (req.body && req.body.newPassword !== undefined ? byUser(req) : null)
+});
+
+function sendValidationError(res, error) {
+  const first = Object.values(error.errors)[0];
+  res.status(400).json({ message: first ? first.message : 'Invalid profile details' });
+}
+
+function toVibes(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return canonicalVibes(list.map((vibe) => String(vibe).trim()).filter(Boolean));
+}
+
+router.get('/', (req, res) => {
+  res.json({ profile: req.user.toProfileJSON() });
+});
+
+// Update profile fields and preferences; sending currentPassword + newPassword
+// also changes the password, which signs out every other session
+router.put('/', passwordChangeLimit, validate({
+  displayName: { type: 'string', label: 'Display name', max: 50 },
+  avatarUrl: { type: 'string', label: 'Avatar URL', max: 500 },
+  homeCity: { type: 'string', label: 'Home city', max: 100 },
+  preferences: { type: 'object', label: 'Preferences' },
+  currentPassword: { type: 'string', label: 'Current password', max: 72 },
+  newPassword: { type: 'string', label: 'New password', min: 6, max: 72 }
+}), async (req, res, next) => {
+  const user = req.user;
+  const body = req.body || {};
+  const prefs = body.preferences || {};
+
+  try {
+    if (body.newPassword !== undefined) {
+      if (user.lockRemainingMs() > 0) {
+        res.set('Retry-After', String(Math.ceil(user.lockRemainingMs() / 1000)));
+        return res.status(429).json({ message: user.lockoutMessage() });
+      }
+      if (!body.currentPassword || !(await user.comparePassword(String(body.currentPassword)))) {
+        await user.registerFailedLogin();
+        return res.status(400).json({ message: 'Current password is incorrect' });
+      }
+      user.resetFailedLogins();
+      user.password = String(body.newPassword);
+      user.endSessions();
+    }
+
+    if (body.displayName !== undefined) user.displayName = String(body.displayName);
+    if (body.avatarUrl !== undefined) user.avatarUrl = String(body.avatarUrl);
+    if (body.homeCity !== undefined) user.homeCity = String(body.homeCity);
+    if (prefs.currency !== undefined) user.preferences.currency = String(prefs.currency).toUpperCase();
+    if (prefs.vibes !== undefined) user.preferences.vibes = toVibes(prefs.vibes);
+    if (prefs.pace !== undefined) user.preferences.pace = String(prefs.pace);
+    if (prefs.radius !== undefined) user.preferences.radius = Number(prefs.radius);
+
+    await user.save();
+    if (body.newPassword !== undefined) setSessionCookie(res, user); // keep this one signed in
+    res.json({
+      message: body.newPassword !== undefined ? 'Profile and password updated' : 'Profile updated',
+      profile: user.toProfileJSON()
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    next(error);
+  }
+});
+
+module.exports = router;
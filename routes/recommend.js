@@ -0,0 +1,143 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Trip = require('../model/trip');
+const Review = require('../model/review');
+const { rateLimit, byUser } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { normalizeRequest, cachedRecommendPlaces, streamCachedRecommendPlaces } = require('../services/recommender');
+const { listVibes } = require('../services/vibes');
+const { estimateCost } = require('../services/cost');
+
+const router = express.Router();
+
+const MINUTE = 60 * 1000;
+
+// Everything here ends up in a paid LLM prompt, so keep it small and plain
+const PLACE_NAMES = { type: 'list', maxItems: 200, max: 120 };
+const recommendSchema = {
+  city: {
+    type: 'string', required: true, requiredMessage: 'Please enter a city', label: 'City', max: 100,
+    pattern: /^[\p{L}\p{M}][\p{L}\p{M}\s.,'()-]*$/u, message: 'Please enter a valid city name'
+  },
+  vibe: { type: 'string', label: 'Vibe', max: 30 },
+  vibes: { type: 'list', label: 'Vibes', maxItems: 10, max: 30 },
+  visited: { ...PLACE_NAMES, label: 'Visited places' },
+  selected: { ...PLACE_NAMES, label: 'Selected places' },
+  bookmarked: { ...PLACE_NAMES, label: 'Bookmarked places' },
+  radius: { type: 'number', label: 'Radius', min: 0, max: 50 },
+  tripId: { type: 'string', label: 'Trip id', max: 64 },
+  iteration: { type: 'integer', label: 'Iteration', min: 1, max: 1000 },
+  rainLikely: { type: 'boolean', label: 'rainLikely' },
+  currency: { type: 'string', label: 'Currency', pattern: /^[A-Za-z]{3}$/, message: 'Currency must be a 3-letter code' }
+};
+
+const recommendLimits = [
+  rateLimit({ name: 'recommend-ip', windowMs: 5 * MINUTE, max: 30 }),
+  rateLimit({ name: 'recommend-account', windowMs: 60 * MINUTE, max: 120, keyFor: byUser })
+];
+
+// Reviewed places show the community average instead of the model's guess.
+// Ratings are a nice-to-have, so a database problem never fails the request.
+async function applyCommunityRatings(places) {
+  if (mongoose.connection.readyState !== 1 || places.length === 0) return;
+
+  try {
+    const summaries = await Review.ratingSummaries(places.map((place) => place.id));
+    places.forEach((place) => {
+      const summary = summaries.get(place.id);
+      if (!summary) return;
+      place.rating = summary.average;
+      place.reviewCount = summary.count;
+    });
+  } catch (error) {
+    console.error('Could not load review ratings:', error.message);
+  }
+}
+
+// The vibe taxonomy every page renders its vibe pickers from
+router.get('/vibes', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.json({ vibes: listVibes() });
+});
+
+// The normalized request plus the currency to quote costs in
+async function prepareRequest(req) {
+  const request = normalizeRequest(req.body);
+  // Costs are quoted in the trip's currency, else the one the page asked for
+  let currency = req.body.currency ? String(req.body.currency).toUpperCase() : 'INR';
+
+  // Places already on any day of the user's saved trip are never recommended again
+  if (request.tripId && req.userId && mongoose.isValidObjectId(request.tripId)) {
+    const trip = await Trip.findOne({ _id: request.tripId, ...Trip.accessibleBy(req.userId) });
+    if (trip) {
+      request.exclude = trip.placeNames();
+      currency = trip.currency;
+    }
+  }
+  return { request, currency };
+}
+
+// POST /recommend is canonical; /recommendations is kept for the old Flask clients
+router.post(['/recommend', '/recommendations'], recommendLimits, validate(recommendSchema), async (req, res) => {
+  try {
+    const { request, currency } = await prepareRequest(req);
+
+    // X-Cache is HIT, STALE (refreshing in the background) or MISS
+    const { places, status, ageMs } = await cachedRecommendPlaces(request);
+    res.set({ 'X-Cache': status, Age: String(Math.floor(ageMs / 1000)) });
+    await applyCommunityRatings(places);
+    places.forEach((place) => {
+      place.cost = estimateCost(place, currency);
+    });
+    res.json(places);
+  } catch (error) {
+    console.error('Recommendation error:', error);
+    res.status(500).json({ message: 'Failed to fetch recommendations' });
+  }
+});
+
+// Same body and answer as /recommend, streamed as NDJSON so pages can show
+// each place as soon as the model has written it:
+//
+//   {"type":"place","place":{...}}          one line per place
+//   {"type":"done","count":4,"cache":"MISS"}
+//   {"type":"error","message":"..."}        instead of "done" when it fails midway
+//
+// Closing the request (the page switched vibe or day) stops the provider call.
+router.post('/recommend/stream', recommendLimits, validate(recommendSchema), async (req, res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  const write = (message) => {
+    if (!res.destroyed) res.write(`${JSON.stringify(message)}\n`);
+  };
+
+  try {
+    const { request, currency } = await prepareRequest(req);
+    res.set({
+      'Content-Type': 'application/x-ndjson; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const { places, status } = await streamCachedRecommendPlaces(request, {
+      signal: controller.signal,
+      onPlace: async (place) => {
+        await applyCommunityRatings([place]);
+        place.cost = estimateCost(place, currency);
+        write({ type: 'place', place });
+      }
+    });
+    write({ type: 'done', count: places.length, cache: status });
+    res.end();
+  } catch (error) {
+    console.error('Recommendation error:', error);
+    if (!res.headersSent) return res.status(500).json({ message: 'Failed to fetch recommendations' });
+    write({ type: 'error', message: 'Failed to fetch recommendations' });
+    res.end();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,143 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Review = require('../model/review');
+const { requireAuth } = require('../middleware/auth');
+const { rateLimit, byUser } = require('../middleware/rateLimit');
+const { toSavedPlace } = require('../services/place');
+
+const router = express.Router();
+
+const MAX_REVIEWS = 50;
+const MINUTE = 60 * 1000;
+
+const postLimit = rateLimit({ name: 'review-post', windowMs: 60 * MINUTE, max: 20, keyFor: byUser });
+const helpfulLimit = rateLimit({ name: 'review-helpful', windowMs: 15 * MINUTE, max: 60, keyFor: byUser });
+
+function sendValidationError(res, error) {
+  const first = Object.values(error.errors)[0];
+  res.status(400).json({ message: first ? first.message : 'Invalid review' });
+}
+
+function toTags(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return Array.from(new Set(list.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean)));
+}
+
+// Copy rating/text/tags from a request body onto a review
+function applyReviewUpdate(review, body) {
+  if (body.rating !== undefined) review.rating = Number(body.rating);
+  if (body.text !== undefined) review.text = String(body.text);
+  if (body.tags !== undefined) review.tags = toTags(body.tags);
+}
+
+// Loads :id, or answers 404; only the author may go on to edit or delete it
+async function loadOwnReview(req, res, next) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ message: 'Review not found' });
+  }
+
+  try {
+    const review = await Review.findById(req.params.id);
+    if (!review) return res.status(404).json({ message: 'Review not found' });
+    if (!review.author.equals(req.user._id)) {
+      return res.status(403).json({ message: 'You can only change your own reviews' });
+    }
+    req.review = review;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Reviews for one place, most helpful first, with the average rating
+router.get('/', async (req, res, next) => {
+  const placeId = String(req.query.placeId || '').trim();
+  if (!placeId) return res.status(400).json({ message: 'placeId is required' });
+
+  try {
+    const reviews = await Review.find({ placeId })
+      .populate('author', 'username')
+      .sort({ createdAt: -1 })
+      .limit(MAX_REVIEWS);
+    reviews.sort((a, b) => b.helpful.length - a.helpful.length);
+
+    const summary = (await Review.ratingSummaries([placeId])).get(placeId) || { average: null, count: 0 };
+    res.json({
+      placeId,
+      summary,
+      reviews: reviews.map((review) => review.toPublicJSON(req.userId))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/', requireAuth, postLimit, async (req, res, next) => {
+  const place = toSavedPlace(req.body && req.body.place);
+  if (!place) return res.status(400).json({ message: 'A place with a name is required' });
+
+  try {
+    const review = new Review({
+      author: req.user._id,
+      placeId: place.placeId,
+      placeName: place.name,
+      city: place.city
+    });
+    applyReviewUpdate(review, req.body);
+    await review.save();
+    await review.populate('author', 'username');
+    res.status(201).json({ message: 'Review posted', review: review.toPublicJSON(req.user._id) });
+  } catch (error) {
+    if (error.code === 11000) return res.status(409).json({ message: 'You have already reviewed this place' });
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    next(error);
+  }
+});
+
+router.put('/:id', requireAuth, loadOwnReview, async (req, res, next) => {
+  try {
+    applyReviewUpdate(req.review, req.body || {});
+    await req.review.save();
+    await req.review.populate('author', 'username');
+    res.json({ message: 'Review updated', review: req.review.toPublicJSON(req.user._id) });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    next(error);
+  }
+});
+
+router.delete('/:id', requireAuth, loadOwnReview, async (req, res, next) => {
+  try {
+    await req.review.deleteOne();
+    res.json({ message: 'Review deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Toggle the signed-in user's "helpful" vote
+router.post('/:id/helpful', requireAuth, helpfulLimit, async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ message: 'Review not found' });
+  }
+
+  try {
+    const review = await Review.findById(req.params.id);
+    if (!review) return res.status(404).json({ message: 'Review not found' });
+    if (review.author.equals(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot vote on your own review' });
+    }
+
+    const voted = review.helpful.some((id) => id.equals(req.user._id));
+    if (voted) review.helpful.pull(req.user._id);
+    else review.helpful.push(req.user._id);
+    await review.save();
+
+    res.json({ message: voted ? 'Vote removed' : 'Marked as helpful', helpfulCount: review.helpful.length, votedHelpful: !voted });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
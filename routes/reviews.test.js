@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const User = require('../model/user');
+const Review = require('../model/review');
+const { createToken, loadSession } = require('../middleware/auth');
+const reviewRoutes = require('./reviews');
+
+process.env.SESSION_SECRET = 'test-secret';
+
+const ana = new User({ username: 'ana', email: 'ana@example.com', password: 'secret1' });
+const ben = new User({ username: 'ben', email: 'ben@example.com', password: 'secret1' });
+const users = new Map([ana, ben].map((user) => [String(user._id), user]));
+
+const place = { name: 'Fort Aguada', city: 'Goa' };
+
+// Serves the reviews router with User.findById answering ana and ben, and
+// Review saves kept in `saved` behind the { author, placeId } unique index
+async function withApp(t, fn) {
+  t.mock.method(User, 'findById', async (id) => users.get(String(id)) || null);
+  const saved = new Map();
+  t.mock.method(Review.prototype, 'save', async function() {
+    await this.validate();
+    const key = `${this.author}:${this.placeId}`;
+    const existing = saved.get(key);
+    if (existing && existing !== this) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    saved.set(key, this);
+    return this;
+  });
+  t.mock.method(Review.prototype, 'populate', async function() { return this; });
+  t.mock.method(Review, 'findById', async (id) => [...saved.values()].find((review) => review.id === id) || null);
+
+  const app = express();
+  app.use(express.json());
+  app.use(loadSession);
+  app.use('/api/reviews', reviewRoutes);
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}/api/reviews`;
+
+  const send = async (user, method, path, body) => {
+    const res = await fetch(`${base}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${createToken(user)}`, 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  try {
+    await fn(send);
+  } finally {
+    server.close();
+  }
+}
+
+test('a second review of the same place answers 409', async (t) => {
+  await withApp(t, async (send) => {
+    const first = await send(ana, 'POST', '/', { place, rating: 5, text: 'Great views' });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.review.rating, 5);
+
+    const again = await send(ana, 'POST', '/', { place, rating: 4 });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.message, 'You have already reviewed this place');
+
+    assert.equal((await send(ben, 'POST', '/', { place, rating: 3 })).status, 201);
+  });
+});
+
+test('only the author can edit or delete a review', async (t) => {
+  await withApp(t, async (send) => {
+    const { body } = await send(ana, 'POST', '/', { place, rating: 5 });
+    const id = body.review.id;
+
+    const edit = await send(ben, 'PUT', `/${id}`, { rating: 1 });
+    assert.equal(edit.status, 403);
+    assert.equal(edit.body.message, 'You can only change your own reviews');
+    assert.equal((await send(ben, 'DELETE', `/${id}`)).status, 403);
+
+    const own = await send(ana, 'PUT', `/${id}`, { rating: 4 });
+    assert.equal(own.status, 200);
+    assert.equal(own.body.review.rating, 4);
+  });
+});
+
+test('posting reviews is limited to 20 per user per hour', async (t) => {
+  const writer = new User({ username: 'cam', email: 'cam@example.com', password: 'secret1' });
+  users.set(String(writer._id), writer);
+  await withApp(t, async (send) => {
+    for (let i = 0; i < 20; i++) {
+      assert.equal((await send(writer, 'POST', '/', { place: { name: `Beach ${i}`, city: 'Goa' }, rating: 4 })).status, 201);
+    }
+    const over = await send(writer, 'POST', '/', { place: { name: 'Beach 20', city: 'Goa' }, rating: 4 });
+    assert.equal(over.status, 429);
+    assert.equal((await send(ben, 'POST', '/', { place: { name: 'Beach 20', city: 'Goa' }, rating: 4 })).status, 201);
+  });
+});
+
+test('ratingSummaries averages per place, rounded to one decimal', async (t) => {
+  const aggregate = t.mock.method(Review, 'aggregate', async () => [
+    { _id: 'fort-aguada-goa', average: 13 / 3, count: 3 },
+    { _id: 'baga-beach-goa', average: 2, count: 1 }
+  ]);
+
+  const summaries = await Review.ratingSummaries(['fort-aguada-goa', 'baga-beach-goa', 'unreviewed-goa']);
+  assert.deepEqual(summaries.get('fort-aguada-goa'), { average: 4.3, count: 3 });
+  assert.deepEqual(summaries.get('baga-beach-goa'), { average: 2, count: 1 });
+  assert.equal(summaries.has('unreviewed-goa'), false);
+
+  const [pipeline] = aggregate.mock.calls[0].arguments;
+  assert.deepEqual(pipeline[0], { $match: { placeId: { $in: ['fort-aguada-goa', 'baga-beach-goa', 'unreviewed-goa'] } } });
+  assert.deepEqual(pipeline[1].$group.average, { $avg: '$rating' });
+});
@@ -0,0 +1,31 @@
+const express = require('express');
+const Trip = require('../model/trip');
+const { buildPrintHtml } = require('../services/export');
+
+const router = express.Router();
+
+// Read-only trip views for share links; no session needed, the token is the key
+async function loadSharedTrip(req, res, next) {
+  const token = String(req.params.token || '');
+  if (!/^[\w-]{20,64}$/.test(token)) return res.status(404).json({ message: 'This share link is not valid' });
+
+  try {
+    const trip = await Trip.findOne({ shareToken: token });
+    if (!trip) return res.status(404).json({ message: 'This share link is not valid' });
+    req.trip = trip;
+    res.set('X-Robots-Tag', 'noindex');
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+router.get('/shared/:token', loadSharedTrip, (req, res) => {
+  res.type('html').send(buildPrintHtml(req.trip));
+});
+
+router.get('/api/shared/:token', loadSharedTrip, (req, res) => {
+  res.json({ trip: req.trip.toSharedJSON() });
+});
+
+module.exports = router;
@@ -0,0 +1,702 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Trip = require('../model/trip');
+const User = require('../model/user');
+const { requireAuth } = require('../middleware/auth');
+const { rateLimit, byUser } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { toSavedPlace } = require('../services/place');
+const { geocode } = require('../services/geocode');
+const { hasCoordinates } = require('../services/geo');
+const { optimizeRoute } = require('../services/route');
+const { getForecast } = require('../services/weather');
+const { applyTripCosts, estimateCost } = require('../services/cost');
+const { appUrl } = require('../services/mail');
+const { buildIcs, buildGpx, buildPrintHtml, fileName } = require('../services/export');
+const { subscribe, publish, placesChange, clientOf } = require('../services/tripEvents');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+function parseDate(value) {
+  const date = new Date(value);
+  return value && !isNaN(date.getTime()) ? date : null;
+}
+
+// Client-sent places go through the same Place schema as recommendations
+function toTripPlaces(places, city) {
+  if (!Array.isArray(places)) return [];
+  return places.map((raw) => toSavedPlace(raw, { city })).filter(Boolean);
+}
+
+// Copy places/notes/status from a request body onto a trip day.
+// Candidates that made it onto the day are no longer up for a vote.
+function applyDayUpdate(trip, day, body) {
+  if (body.places !== undefined) {
+    day.places = toTripPlaces(body.places, trip.city);
+    const planned = new Set(day.places.map((place) => place.placeId));
+    day.candidates = day.candidates.filter((candidate) => !planned.has(candidate.place.placeId));
+  }
+  if (body.notes !== undefined) day.notes = String(body.notes);
+  if (body.status !== undefined) day.status = body.status;
+}
+
+// Budget and currency as sent on create/update; an empty budget clears it
+const tripBudgetSchema = {
+  budget: { type: 'number', label: 'Budget', min: 0, max: 1e9 },
+  currency: { type: 'string', label: 'Currency', max: 3 }
+};
+
+function toBudget(value) {
+  return value === null || value === '' ? null : Number(value);
+}
+
+// Tell the trip's open planners what this request changed
+function broadcast(req, trip, event) {
+  publish(trip, { ...event, client: clientOf(req) });
+}
+
+function sendValidationError(res, error) {
+  const first = Object.values(error.errors)[0];
+  res.status(400).json({ message: first ? first.message : 'Invalid trip details' });
+}
+
+// Loads :id for a member whose role is at least `role` ('viewer', 'editor'
+// or 'owner'). Answers 404 to everyone not on the trip and 403 to members
+// without the role; sets req.trip and req.role.
+function loadTrip(role) {
+  return async (req, res, next) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Trip not found' });
+    }
+
+    try {
+      const trip = await Trip.findOne({ _id: req.params.id, ...Trip.accessibleBy(req.user._id) });
+      if (!trip) return res.status(404).json({ message: 'Trip not found' });
+      if (!trip.allows(req.user._id, role)) {
+        return res.status(403).json({
+          message: role === 'owner' ? 'Only the trip owner can do that' : 'You have view-only access to this trip'
+        });
+      }
+      req.trip = trip;
+      req.role = trip.roleOf(req.user._id);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+function loadDay(req, res, next) {
+  req.day = req.trip.getDay(req.params.dayNumber);
+  if (!req.day) return res.status(404).json({ message: 'Day not found' });
+  next();
+}
+
+// Create a trip; days are generated from the date range
+router.post('/', validate(tripBudgetSchema), async (req, res, next) => {
+  const { title, city, budget, currency } = req.body || {};
+  const startDate = parseDate(req.body && req.body.startDate);
+  const endDate = parseDate(req.body && req.body.endDate);
+
+  if (!city || !startDate || !endDate) {
+    return res.status(400).json({ message: 'City, start date and end date are required' });
+  }
+
+  try {
+    const trip = new Trip({
+      owner: req.user._id,
+      title,
+      city,
+      startDate,
+      endDate,
+      currency: currency ? String(currency).toUpperCase() : req.user.preferences.currency,
+      budget: budget === undefined ? null : toBudget(budget)
+    });
+    trip.syncDays();
+    await trip.save();
+    res.status(201).json({ message: 'Trip created', trip });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    next(error);
+  }
+});
+
+// List the signed-in user's trips, most recently edited first
+router.get('/', async (req, res, next) => {
+  try {
+    const trips = await Trip.find(Trip.accessibleBy(req.user._id)).sort({ updatedAt: -1 });
+    res.json({ trips: trips.map((trip) => trip.toSummaryJSON(req.user._id)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// -------------------- Invitations --------------------
+// Trips whose owner invited the signed-in user by username or verified email
+
+router.get('/invites', async (req, res, next) => {
+  try {
+    const trips = await Trip.find(Trip.invitedFilter(req.user)).populate('owner', 'username').sort({ updatedAt: -1 });
+    res.json({
+      invites: trips.map((trip) => ({
+        tripId: trip._id,
+        title: trip.title || `${trip.city} trip`,
+        city: trip.city,
+        startDate: trip.startDate,
+        endDate: trip.endDate,
+        role: trip.inviteFor(req.user).role,
+        invitedBy: trip.owner ? trip.owner.username : null
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Loads the trip at :id that has an invitation for the signed-in user, or answers 404
+async function loadInvite(req, res, next) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ message: 'Invitation not found' });
+  }
+
+  try {
+    const trip = await Trip.findOne({ _id: req.params.id, ...Trip.invitedFilter(req.user) });
+    if (!trip) return res.status(404).json({ message: 'Invitation not found' });
+    req.trip = trip;
+    req.invite = trip.inviteFor(req.user);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Accept: join the trip with the invited role
+router.post('/invites/:id', loadInvite, async (req, res, next) => {
+  const trip = req.trip;
+
+  try {
+    trip.invites = trip.invites.filter((invite) => invite !== req.invite);
+    if (!trip.roleOf(req.user._id)) trip.members.push({ user: req.user._id, role: req.invite.role });
+    await trip.save();
+    broadcast(req, trip, { type: 'trip-updated' });
+    res.json({ message: `You joined ${trip.title || `${trip.city} trip`}`, trip, role: trip.roleOf(req.user._id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Decline
+router.delete('/invites/:id', loadInvite, async (req, res, next) => {
+  try {
+    req.trip.invites = req.trip.invites.filter((invite) => invite !== req.invite);
+    await req.trip.save(); // invitations are not part of the synced plan, so no event
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id', loadTrip('viewer'), (req, res) => {
+  res.json({ trip: req.trip, role: req.role });
+});
+
+// Update trip details and, optionally, every day at once
+router.put('/:id', validate(tripBudgetSchema), loadTrip('editor'), async (req, res, next) => {
+  const trip = req.trip;
+  const body = req.body || {};
+
+  try {
+    if (body.title !== undefined) trip.title = body.title;
+    if (body.city !== undefined) trip.city = body.city;
+    if (body.budget !== undefined) trip.budget = toBudget(body.budget);
+    if (body.currency !== undefined) trip.currency = String(body.currency).toUpperCase();
+
+    if (body.startDate !== undefined || body.endDate !== undefined) {
+      const startDate = body.startDate !== undefined ? parseDate(body.startDate) : trip.startDate;
+      const endDate = body.endDate !== undefined ? parseDate(body.endDate) : trip.endDate;
+      if (!startDate || !endDate) return res.status(400).json({ message: 'Invalid trip dates' });
+      trip.startDate = startDate;
+      trip.endDate = endDate;
+      trip.syncDays();
+    }
+
+    if (Array.isArray(body.days)) {
+      body.days.forEach((update) => {
+        const day = trip.getDay(update && update.dayNumber);
+        if (day) applyDayUpdate(trip, day, update);
+      });
+    }
+
+    applyTripCosts(trip);
+    await trip.save();
+    broadcast(req, trip, { type: 'trip-updated' });
+    res.json({ message: 'Trip saved', trip });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    next(error);
+  }
+});
+
+// Save a single day (the planner autosaves this on every Select). Offline
+// edits send the `baseVersion` they were made on; if the trip has changed
+// since, the save is refused with 409 and the current day so the planner can
+// merge instead of overwriting co-travelers' changes.
+router.put('/:id/days/:dayNumber', validate({
+  baseVersion: { type: 'integer', label: 'Base version', min: 0 }
+}), loadTrip('editor'), loadDay, async (req, res, next) => {
+  const { trip, day } = req;
+  const baseVersion = req.body && req.body.baseVersion;
+  if (baseVersion !== undefined && baseVersion !== null && Number(baseVersion) !== trip.version) {
+    return res.status(409).json({ message: 'The trip has changed since this edit', version: trip.version, day });
+  }
+  const placeIds = () => day.places.map((place) => place.placeId);
+  const before = {
+    placeIds: placeIds(), status: day.status, notes: day.notes, candidates: day.candidates.length, version: trip.version
+  };
+
+  try {
+    applyDayUpdate(trip, day, req.body || {});
+    applyTripCosts(trip);
+    await trip.save();
+
+    const { dayNumber } = day;
+    const events = [];
+    const change = placesChange(before.placeIds, placeIds());
+    if (change) events.push({ type: change, dayNumber, places: day.places });
+    if (day.status !== before.status || day.notes !== before.notes) {
+      events.push({ type: 'day-updated', dayNumber, status: day.status, notes: day.notes });
+    }
+    if (day.candidates.length !== before.candidates) {
+      events.push({ type: 'candidates', dayNumber, candidates: day.candidates });
+    }
+    // A save that changed nothing visible can still bump the version; say so,
+    // or planners would see a gap and reload
+    if (events.length === 0 && trip.version !== before.version) {
+      events.push({ type: 'day-updated', dayNumber, status: day.status, notes: day.notes });
+    }
+    events.forEach((event) => broadcast(req, trip, event));
+    res.json({ message: 'Day saved', day, costs: trip.costs, updatedAt: trip.updatedAt });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    next(error);
+  }
+});
+
+// Reorder a day's places into a short route from the trip's start point.
+// Body may carry a new startPoint { name, latitude?, longitude? }; a name
+// without coordinates is geocoded within the trip city.
+router.post('/:id/days/:dayNumber/optimize', loadTrip('editor'), loadDay, async (req, res, next) => {
+  const { trip, day } = req;
+
+  try {
+    const requested = req.body && req.body.startPoint;
+    if (requested && requested.name) {
+      let point = { name: String(requested.name), latitude: requested.latitude, longitude: requested.longitude };
+      if (!hasCoordinates(point)) {
+        const found = await geocode(`${point.name}, ${trip.city}`);
+        if (!found) return res.status(400).json({ message: `Could not find "${point.name}" in ${trip.city}` });
+        point = { name: point.name, latitude: found.latitude, longitude: found.longitude };
+      }
+      trip.startPoint = point;
+    } else if (requested === null) {
+      trip.startPoint = undefined;
+    }
+
+    let start = trip.startPoint && hasCoordinates(trip.startPoint) ? trip.startPoint : null;
+    if (!start) {
+      const center = await geocode(trip.city);
+      if (!center) return res.status(400).json({ message: `Could not locate ${trip.city}; set a start point` });
+      start = { name: `${trip.city} center`, latitude: center.latitude, longitude: center.longitude };
+    }
+
+    const places = day.places.map((place) => place.toObject());
+    const route = optimizeRoute(start, places);
+    day.places = route.places;
+
+    await trip.save();
+    broadcast(req, trip, { type: 'places-reordered', dayNumber: day.dayNumber, places: day.places });
+    res.json({
+      message: 'Route optimized',
+      day,
+      route: {
+        start: { name: start.name, latitude: start.latitude, longitude: start.longitude },
+        legs: route.legs,
+        totalKm: route.totalKm,
+        travelMinutes: route.travelMinutes,
+        unlocated: route.unlocated
+      },
+      updatedAt: trip.updatedAt
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    next(error);
+  }
+});
+
+// Daily forecast for the trip's days; days outside the provider's range are
+// simply missing from the list
+router.get('/:id/weather', loadTrip('viewer'), async (req, res, next) => {
+  const trip = req.trip;
+
+  try {
+    const center = await geocode(trip.city);
+    if (!center) return res.json({ city: trip.city, forecast: [] });
+
+    const dateKey = (date) => new Date(date).toISOString().slice(0, 10);
+    const days = await getForecast(
+      { city: trip.city, latitude: center.latitude, longitude: center.longitude },
+      dateKey(trip.startDate),
+      dateKey(trip.endDate)
+    );
+
+    const byDate = new Map(days.map((day) => [day.date, day]));
+    const forecast = trip.days
+      .filter((day) => byDate.has(dateKey(day.date)))
+      .map((day) => ({ dayNumber: day.dayNumber, ...byDate.get(dateKey(day.date)) }));
+
+    res.json({ city: trip.city, forecast });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// -------------------- Candidates & votes --------------------
+// Editors propose places for a day; every member can vote on them
+
+function findCandidate(day, id) {
+  return day.candidates.find((candidate) => candidate.place.placeId === id);
+}
+
+router.post('/:id/days/:dayNumber/candidates', loadTrip('editor'), loadDay, async (req, res, next) => {
+  const { trip, day } = req;
+  const place = toSavedPlace((req.body && req.body.place) || {}, { city: trip.city });
+  if (!place) return res.status(400).json({ message: 'Place is required' });
+
+  if (day.places.some((planned) => planned.placeId === place.placeId)) {
+    return res.status(400).json({ message: `${place.name} is already planned for this day` });
+  }
+  if (findCandidate(day, place.placeId)) {
+    return res.json({ message: `${place.name} is already up for a vote`, candidates: day.candidates });
+  }
+
+  try {
+    place.cost = estimateCost(place, trip.currency);
+    day.candidates.push({ place, proposedBy: req.user._id });
+    await trip.save();
+    broadcast(req, trip, { type: 'candidates', dayNumber: day.dayNumber, candidates: day.candidates });
+    res.status(201).json({ message: `Suggested ${place.name}`, candidates: day.candidates });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    next(error);
+  }
+});
+
+// Body { value: 1 | -1 | 0 }; 0 takes the vote back
+router.post('/:id/days/:dayNumber/candidates/:placeId/vote', loadTrip('viewer'), loadDay, validate({
+  value: { type: 'integer', required: true, label: 'Vote', min: -1, max: 1 }
+}), async (req, res, next) => {
+  const { trip, day } = req;
+  const candidate = findCandidate(day, req.params.placeId);
+  if (!candidate) return res.status(404).json({ message: 'Suggestion not found' });
+
+  try {
+    candidate.setVote(req.user._id, Number(req.body.value));
+    await trip.save();
+    broadcast(req, trip, { type: 'candidates', dayNumber: day.dayNumber, candidates: day.candidates });
+    res.json({ message: 'Vote saved', candidates: day.candidates });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:id/days/:dayNumber/candidates/:placeId', loadTrip('editor'), loadDay, async (req, res, next) => {
+  const { trip, day } = req;
+  if (!findCandidate(day, req.params.placeId)) return res.status(404).json({ message: 'Suggestion not found' });
+
+  try {
+    day.candidates = day.candidates.filter((candidate) => candidate.place.placeId !== req.params.placeId);
+    await trip.save();
+    broadcast(req, trip, { type: 'candidates', dayNumber: day.dayNumber, candidates: day.candidates });
+    res.json({ message: 'Suggestion removed', candidates: day.candidates });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// -------------------- Members --------------------
+
+// Owner first, then members in the order they were added; no emails
+async function memberList(trip) {
+  const ids = [trip.owner].concat(trip.members.map((member) => member.user));
+  const users = await User.find({ _id: { $in: ids } }, 'username displayName avatarUrl');
+  const byId = new Map(users.map((user) => [String(user._id), user]));
+
+  return [{ user: trip.owner, role: 'owner' }].concat(trip.members)
+    .filter((member) => byId.has(String(member.user)))
+    .map((member) => {
+      const user = byId.get(String(member.user));
+      return {
+        id: user._id,
+        username: user.username,
+        displayName: user.displayName || '',
+        avatarUrl: user.avatarUrl || '',
+        role: member.role
+      };
+    });
+}
+
+const ROLE_RULE = {
+  type: 'string', label: 'Role', pattern: /^(editor|viewer)$/, message: 'Role must be editor or viewer'
+};
+
+// Pending invitations, for the owner only (they name emails)
+function inviteList(trip) {
+  return trip.invites.map((invite) => ({
+    id: invite._id,
+    identifier: invite.identifier,
+    role: invite.role,
+    invitedAt: invite.invitedAt
+  }));
+}
+
+router.get('/:id/members', loadTrip('viewer'), async (req, res, next) => {
+  try {
+    const members = await memberList(req.trip);
+    res.json(req.role === 'owner' ? { members, invites: inviteList(req.trip), role: req.role } : { members, role: req.role });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const inviteLimit = rateLimit({ name: 'trip-invite', windowMs: 60 * 60 * 1000, max: 30, keyFor: byUser });
+
+// Invite by username or email. Unless it names the owner or a current member
+// (whose role is then changed), the invitation waits for the invitee to accept
+// it, and the answer is the same whether or not such an account exists.
+router.post('/:id/members', inviteLimit, loadTrip('owner'), validate({
+  identifier: { type: 'string', required: true, requiredMessage: 'Enter a username or email', label: 'Username or email', max: 254 },
+  role: ROLE_RULE
+}), async (req, res, next) => {
+  const trip = req.trip;
+  const raw = String(req.body.identifier).trim();
+  const identifier = raw.includes('@') ? raw.toLowerCase() : raw;
+  const role = req.body.role || 'viewer';
+
+  try {
+    const owner = req.user;
+    if (identifier === owner.username || identifier === owner.email) {
+      return res.status(400).json({ message: 'You already own this trip' });
+    }
+
+    const memberIds = trip.members.map((member) => member.user);
+    const member = await User.findOne({
+      _id: { $in: memberIds },
+      ...(identifier.includes('@') ? { email: identifier } : { username: identifier })
+    });
+    if (member) {
+      trip.members.find((entry) => entry.user.equals(member._id)).role = role;
+    } else {
+      const pending = trip.invites.find((invite) => invite.identifier === identifier);
+      if (pending) pending.role = role;
+      else trip.invites.push({ identifier, role });
+    }
+
+    await trip.save();
+    if (member) broadcast(req, trip, { type: 'trip-updated' });
+    res.status(member ? 200 : 202).json({
+      message: member
+        ? `${member.username} is now a ${role}`
+        : `Invitation saved. If ${identifier} has a TripTrove account, they can accept it from their trip list.`,
+      members: await memberList(trip),
+      invites: inviteList(trip)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    next(error);
+  }
+});
+
+router.delete('/:id/invites/:inviteId', loadTrip('owner'), async (req, res, next) => {
+  const trip = req.trip;
+  if (!trip.invites.some((invite) => String(invite._id) === req.params.inviteId)) {
+    return res.status(404).json({ message: 'Invitation not found' });
+  }
+
+  try {
+    trip.invites = trip.invites.filter((invite) => String(invite._id) !== req.params.inviteId);
+    await trip.save();
+    res.json({ message: 'Invitation cancelled', invites: inviteList(trip) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/:id/members/:userId', loadTrip('owner'), validate({
+  role: { ...ROLE_RULE, required: true }
+}), async (req, res, next) => {
+  const trip = req.trip;
+  const member = trip.members.find((entry) => String(entry.user) === req.params.userId);
+  if (!member) return res.status(404).json({ message: 'Member not found' });
+
+  try {
+    member.role = req.body.role;
+    await trip.save();
+    broadcast(req, trip, { type: 'trip-updated' });
+    res.json({ message: 'Role updated', members: await memberList(trip) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The owner removes anyone; members may remove themselves (leave the trip)
+router.delete('/:id/members/:userId', loadTrip('viewer'), async (req, res, next) => {
+  const trip = req.trip;
+  const leaving = String(req.user._id) === req.params.userId;
+  if (!leaving && req.role !== 'owner') {
+    return res.status(403).json({ message: 'Only the trip owner can do that' });
+  }
+  if (!trip.members.some((entry) => String(entry.user) === req.params.userId)) {
+    return res.status(404).json({ message: 'Member not found' });
+  }
+
+  try {
+    trip.members = trip.members.filter((entry) => String(entry.user) !== req.params.userId);
+    await trip.save();
+    broadcast(req, trip, { type: 'trip-updated' });
+    res.json({ message: leaving ? 'You left the trip' : 'Member removed', members: leaving ? [] : await memberList(trip) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// -------------------- Share link --------------------
+// A read-only itinerary anyone with the link can open, until the owner revokes it
+
+function shareUrl(trip) {
+  return trip.shareToken ? `${appUrl()}/shared/${trip.shareToken}` : null;
+}
+
+router.get('/:id/share', loadTrip('owner'), (req, res) => {
+  res.json({ url: shareUrl(req.trip) });
+});
+
+router.post('/:id/share', loadTrip('owner'), async (req, res, next) => {
+  const trip = req.trip;
+
+  try {
+    if (!trip.shareToken) {
+      trip.shareToken = crypto.randomBytes(24).toString('base64url');
+      await trip.save();
+    }
+    res.json({ message: 'Share link ready', url: shareUrl(trip) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:id/share', loadTrip('owner'), async (req, res, next) => {
+  const trip = req.trip;
+
+  try {
+    trip.shareToken = undefined;
+    await trip.save();
+    res.json({ message: 'Share link turned off', url: null });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// -------------------- Live updates --------------------
+// Server-Sent Events for the planner (see services/tripEvents.js). The stream
+// opens with a `hello` event holding the trip's current version; a planner
+// that reconnects and finds a newer version than it has reloads the trip.
+// Streams close when the trip is deleted, the user is no longer on it, or
+// their session ends (password change or reset), which is checked before
+// every event and on every heartbeat.
+
+const EVENTS_RETRY_MS = 3000;
+const EVENTS_HEARTBEAT_MS = 25 * 1000;
+
+router.get('/:id/events', loadTrip('viewer'), (req, res) => {
+  const userId = req.user._id;
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event) => res.write(`id: ${event.version}\ndata: ${JSON.stringify(event)}\n\n`);
+  res.write(`retry: ${EVENTS_RETRY_MS}\n\n`);
+  send({ type: 'hello', version: req.trip.version });
+
+  const sessionActive = async () => {
+    const user = await User.findById(userId, 'sessionVersion');
+    return Boolean(user) && (user.sessionVersion || 0) === req.sessionVersion;
+  };
+
+  // Deliveries run one after another so events keep their order
+  let closed = false;
+  let delivery = Promise.resolve();
+  const deliver = (write) => {
+    delivery = delivery.then(async () => {
+      if (closed) return;
+      if (!(await sessionActive())) return close();
+      if (!closed) write();
+    }).catch((error) => {
+      console.error('Trip event stream failed:', error.message);
+      close();
+    });
+  };
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => deliver(() => res.write(': ping\n\n')), EVENTS_HEARTBEAT_MS);
+  const unsubscribe = subscribe(req.trip._id, (event, trip) => {
+    deliver(() => {
+      send(event);
+      if (event.type === 'trip-deleted' || !trip.allows(userId, 'viewer')) close();
+    });
+  });
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  }
+  req.on('close', close);
+});
+
+// -------------------- Exports --------------------
+router.get('/:id/export.ics', loadTrip('viewer'), (req, res) => {
+  res.type('text/calendar; charset=utf-8');
+  res.attachment(fileName(req.trip, 'ics'));
+  res.send(buildIcs(req.trip));
+});
+
+router.get('/:id/export.gpx', loadTrip('viewer'), (req, res) => {
+  res.type('application/gpx+xml; charset=utf-8');
+  res.attachment(fileName(req.trip, 'gpx'));
+  res.send(buildGpx(req.trip));
+});
+
+router.get('/:id/print', loadTrip('viewer'), (req, res) => {
+  res.type('html').send(buildPrintHtml(req.trip));
+});
+
+router.delete('/:id', loadTrip('owner'), async (req, res, next) => {
+  try {
+    await req.trip.deleteOne();
+    broadcast(req, req.trip, { type: 'trip-deleted' });
+    res.json({ message: 'Trip deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
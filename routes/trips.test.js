@@ -0,0 +1,217 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const User = require('../model/user');
+const Trip = require('../model/trip');
+const { createToken, loadSession } = require('../middleware/auth');
+const tripRoutes = require('./trips');
+const { publish } = require('../services/tripEvents');
+
+process.env.SESSION_SECRET = 'test-secret';
+
+const ana = new User({ username: 'ana', email: 'ana@example.com', password: 'secret1' });
+const ben = new User({ username: 'ben', email: 'ben@example.com', password: 'secret1', emailVerified: true });
+const cam = new User({ username: 'cam', email: 'cam@example.com', password: 'secret1' });
+const users = [ana, ben, cam];
+
+// A trip as loaded from the database
+function newTrip() {
+  const trip = new Trip({ owner: ana._id, city: 'Goa', startDate: new Date('2025-06-01'), endDate: new Date('2025-06-02') });
+  trip.syncDays();
+  return Trip.hydrate(trip.toObject({ transform: false, virtuals: false }));
+}
+
+// Serves the trips router for `trip`, with users and trips looked up in memory.
+// fn(send, request) gets a JSON helper and a raw fetch for the trips API.
+async function withApp(t, trip, fn) {
+  const byId = (id) => users.find((user) => user._id.equals(id)) || null;
+  t.mock.method(User, 'findById', async (id) => byId(id));
+  t.mock.method(User, 'findOne', async (query) => users.find((user) =>
+    query._id.$in.some((id) => user._id.equals(id)) &&
+    (query.email ? user.email === query.email : user.username === query.username)) || null);
+  t.mock.method(User, 'find', async (query) => users.filter((user) => query._id.$in.some((id) => user._id.equals(id))));
+
+  const invitedBy = (query) => trip.invites.some((invite) => query['invites.identifier'].$in.includes(invite.identifier));
+  t.mock.method(Trip, 'findOne', async (query) => {
+    if (query['invites.identifier']) return invitedBy(query) ? trip : null;
+    return trip.roleOf(query.$or[0].owner) ? trip : null;
+  });
+  t.mock.method(Trip, 'find', (query) => ({
+    populate() { return this; },
+    sort: async () => (invitedBy(query) ? [trip] : [])
+  }));
+  // Runs the pre('save') hooks (the version bump) and keeps the document
+  t.mock.method(Trip.prototype, 'save', async function() {
+    await new Promise((resolve, reject) =>
+      Trip.schema.s.hooks.execPre('save', this, [], (error) => (error ? reject(error) : resolve())));
+    await this.validate();
+    this.$__reset();
+    return this;
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.use(loadSession);
+  app.use('/api/trips', tripRoutes);
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}/api/trips`;
+
+  const send = async (user, method, path, body) => {
+    const res = await fetch(`${base}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${createToken(user)}`, 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  const request = (user, path) => fetch(`${base}${path}`, { headers: { Authorization: `Bearer ${createToken(user)}` } });
+
+  try {
+    await fn(send, request);
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+}
+
+test('inviting answers the same whether or not the account exists', async (t) => {
+  const trip = newTrip();
+  await withApp(t, trip, async (send) => {
+    const existing = await send(ana, 'POST', `/${trip.id}/members`, { identifier: 'ben', role: 'editor' });
+    const missing = await send(ana, 'POST', `/${trip.id}/members`, { identifier: 'nobody', role: 'editor' });
+
+    assert.equal(existing.status, 202);
+    assert.equal(missing.status, 202);
+    assert.equal(existing.body.message.replace('ben', 'X'), missing.body.message.replace('nobody', 'X'));
+    assert.deepEqual(existing.body.members, missing.body.members);
+    assert.deepEqual(missing.body.members.map((member) => member.username), ['ana']);
+    assert.deepEqual(missing.body.invites.map((invite) => invite.identifier), ['ben', 'nobody']);
+    assert.equal(trip.members.length, 0);
+  });
+});
+
+test('the invitee joins only by accepting, and only with a verified email', async (t) => {
+  const trip = newTrip();
+  await withApp(t, trip, async (send) => {
+    await send(ana, 'POST', `/${trip.id}/members`, { identifier: 'BEN@example.com', role: 'editor' });
+    await send(ana, 'POST', `/${trip.id}/members`, { identifier: 'cam@example.com' });
+    assert.equal((await send(ben, 'GET', `/${trip.id}`)).status, 404);
+
+    // cam never verified that address, so it may not be theirs
+    assert.deepEqual((await send(cam, 'GET', '/invites')).body.invites, []);
+    assert.equal((await send(cam, 'POST', `/invites/${trip.id}`)).status, 404);
+
+    const { body } = await send(ben, 'GET', '/invites');
+    assert.deepEqual(body.invites.map((invite) => [String(invite.tripId), invite.role]), [[trip.id, 'editor']]);
+
+    const accepted = await send(ben, 'POST', `/invites/${trip.id}`);
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.body.role, 'editor');
+    assert.equal(accepted.body.trip.invites, undefined); // never shown to members
+    assert.deepEqual(trip.invites.map((invite) => invite.identifier), ['cam@example.com']);
+    assert.equal((await send(ben, 'GET', `/${trip.id}`)).status, 200);
+
+    // Naming a member now changes their role
+    const demoted = await send(ana, 'POST', `/${trip.id}/members`, { identifier: 'ben', role: 'viewer' });
+    assert.equal(demoted.status, 200);
+    assert.equal(trip.roleOf(ben._id), 'viewer');
+  });
+});
+
+test('the owner can cancel a pending invitation', async (t) => {
+  const trip = newTrip();
+  await withApp(t, trip, async (send) => {
+    const { body } = await send(ana, 'POST', `/${trip.id}/members`, { identifier: 'ben' });
+    const [invite] = body.invites;
+
+    assert.equal((await send(ben, 'DELETE', `/${trip.id}/invites/${invite.id}`)).status, 404);
+    const cancelled = await send(ana, 'DELETE', `/${trip.id}/invites/${invite.id}`);
+    assert.equal(cancelled.status, 200);
+    assert.deepEqual(cancelled.body.invites, []);
+    assert.equal((await send(ben, 'POST', `/invites/${trip.id}`)).status, 404);
+  });
+});
+
+// Reads a Server-Sent Events stream until it ends (or `ms` pass); resolves to the text
+async function readStream(res, ms = 2000) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  const timer = setTimeout(() => reader.cancel(), ms);
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    text += decoder.decode(value);
+  }
+  clearTimeout(timer);
+  return text;
+}
+
+test('only changes planners are told about move the version', async (t) => {
+  const trip = newTrip();
+  await withApp(t, trip, async (send) => {
+    await send(ana, 'POST', `/${trip.id}/share`);
+    await send(ana, 'DELETE', `/${trip.id}/share`);
+    await send(ana, 'POST', `/${trip.id}/members`, { identifier: 'nobody' });
+    assert.equal(trip.version, 0);
+
+    const saved = await send(ana, 'PUT', `/${trip.id}/days/1`, { notes: 'Beach day' });
+    assert.equal(saved.status, 200);
+    assert.equal(trip.version, 1);
+  });
+});
+
+test('a day save that changes nothing visible still announces its version', async (t) => {
+  const trip = newTrip();
+  const events = [];
+  await withApp(t, trip, async (send, request) => {
+    const places = [{ name: 'Fort Aguada', city: 'Goa' }];
+    await send(ana, 'PUT', `/${trip.id}/days/1`, { places });
+
+    const res = await request(ana, `/${trip.id}/events`);
+    const stream = readStream(res, 500);
+    await send(ana, 'PUT', `/${trip.id}/days/1`, { places }); // the same list again
+    events.push(...(await stream).split('\n').filter((line) => line.startsWith('data: ')).map((line) => JSON.parse(line.slice(6))));
+  });
+  assert.equal(trip.version, 2);
+  assert.deepEqual(events.map((event) => [event.type, event.version]), [['hello', 1], ['day-updated', 2]]);
+});
+
+test('the event stream closes once the session is ended', async (t) => {
+  const trip = newTrip();
+  trip.members.push({ user: ben._id, role: 'viewer' });
+  await withApp(t, trip, async (send, request) => {
+    const res = await request(ben, `/${trip.id}/events`);
+    assert.equal(res.status, 200);
+    const stream = readStream(res);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    ben.endSessions(); // password changed on another device
+    publish(trip, { type: 'trip-updated' });
+
+    const text = await stream;
+    assert.match(text, /"type":"hello"/);
+    assert.doesNotMatch(text, /trip-updated/);
+  });
+  ben.sessionVersion = 0;
+});
+
+test('a day save made on an older version is refused with the current day', async (t) => {
+  const trip = newTrip();
+  await withApp(t, trip, async (send) => {
+    await send(ana, 'PUT', `/${trip.id}/days/1`, { notes: 'Leave by 9' });
+
+    const stale = await send(ana, 'PUT', `/${trip.id}/days/1`, { notes: 'Sunscreen', baseVersion: 0 });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.version, 1);
+    assert.equal(stale.body.day.notes, 'Leave by 9');
+    assert.equal(trip.days[0].notes, 'Leave by 9');
+
+    const current = await send(ana, 'PUT', `/${trip.id}/days/1`, { notes: 'Leave by 9\n\nSunscreen', baseVersion: 1 });
+    assert.equal(current.status, 200);
+    assert.equal(trip.version, 2);
+
+    assert.equal((await send(ana, 'PUT', `/${trip.id}/days/1`, { notes: 'x', baseVersion: -1 })).status, 400);
+  });
+});
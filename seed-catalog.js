@@ -0,0 +1,52 @@
+// Imports the curated destination catalog into MongoDB.
+//   node seed-catalog.js                 every file in services/catalog/seed/
+//   node seed-catalog.js places.csv ...  only the given JSON/CSV files
+// Places are upserted by id (name + city), so re-running updates them.
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const CatalogPlace = require('./model/catalogPlace');
+const { readCatalogFile, seedFiles } = require('./services/catalog');
+
+async function seed(files) {
+    let total = 0;
+
+    for (const file of files) {
+        const entries = readCatalogFile(file);
+        if (entries.length === 0) {
+            console.warn(`⚠️  ${file}: no places found`);
+            continue;
+        }
+
+        await CatalogPlace.bulkWrite(entries.map((entry) => ({
+            updateOne: {
+                filter: { placeId: entry.placeId },
+                update: { $set: { ...entry, updatedAt: new Date() } },
+                upsert: true
+            }
+        })));
+        console.log(`✅ ${path.basename(file)}: ${entries.length} places`);
+        total += entries.length;
+    }
+
+    return total;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const files = args.length > 0 ? args.map((file) => path.resolve(file)) : seedFiles();
+
+    try {
+        await mongoose.connect(process.env.MONGO_URI);
+        const total = await seed(files);
+        console.log(`✅ Catalog seeded with ${total} places.`);
+    } catch (error) {
+        console.error('❌ Catalog import failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.connection.close();
+    }
+}
+
+main();
@@ -1,194 +1,77 @@
-// -------------------- DOM Elements --------------------
-const planBtn = document.getElementById("planBtn");
-const tripBox = document.getElementById("tripBox");
-const plannerContainer = document.getElementById("plannerContainer");
-const daysContainer = document.getElementById("daysContainer");
-const dayPlanContainer = document.getElementById("dayPlanContainer");
-
-let tripData = {};
-let visitedPlaces = {};
-let bookmarkedPlaces = {};
-let selectedPlaces = {};
-let currentDay = null;
-let currentVibe = null;
-let allDaySelections = {}; // dayNumber -> array of selected place objects
-
-// -------------------- Plan My Day button --------------------
-planBtn.addEventListener("click", () => {
-  const city = document.getElementById("city").value.trim();
-  const start = new Date(document.getElementById("startDate").value);
-  const end = new Date(document.getElementById("endDate").value);
+const path = require('path');
+const express = require('express');
+const mongoose = require('mongoose');
+const cors = require('cors');
+require('dotenv').config();
+
+const { loadSession } = require('./middleware/auth');
+const { securityHeaders } = require('./middleware/security');
+const authRoutes = require('./routes/auth');
+const recommendRoutes = require('./routes/recommend');
+const tripRoutes = require('./routes/trips');
+const favoriteRoutes = require('./routes/favorites');
+const reviewRoutes = require('./routes/reviews');
+const profileRoutes = require('./routes/profile');
+const adminRoutes = require('./routes/admin');
+const sharedRoutes = require('./routes/shared');
+
+const app = express();
+const PORT = process.env.PORT || 3000;
+
+// Behind a reverse proxy set TRUST_PROXY (e.g. 1) so rate limits see the client IP
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
 
-  if (!city || isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
-    alert("Please fill all details correctly.");
-    return;
+// -------------------- Middleware --------------------
+app.use(securityHeaders);
+app.use(cors());
+app.use(express.json({ limit: '100kb' }));
+app.use(loadSession);
+app.use(express.static(path.join(__dirname, 'public')));
+
+// -------------------- Routes --------------------
+app.use('/', authRoutes);
+app.use('/me/profile', profileRoutes);
+app.use('/', recommendRoutes);
+app.use('/api/trips', tripRoutes);
+app.use('/api/favorites', favoriteRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/', sharedRoutes);
+
+// Anything thrown past a route's own handling ends up here.
+// Body-parser errors are the client's fault and keep the same { message } shape.
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ message: 'Request body is not valid JSON' });
   }
-
-  tripData = { city, start, end };
-  visitedPlaces = {};
-  bookmarkedPlaces = {};
-  selectedPlaces = {};
-  allDaySelections = {};
-
-  tripBox.classList.add("hidden");
-  plannerContainer.classList.remove("hidden");
-
-  generateDays(start, end);
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ message: 'Request body is too large' });
+  }
+  console.error('Unhandled error:', error);
+  res.status(500).json({ message: 'Server error. Please try again.' });
 });
 
-// -------------------- Generate day cards --------------------
-function generateDays(start, end) {
-  daysContainer.innerHTML = "";
-  let dayCounter = 1;
-
-  for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-    const dateStr = d.toDateString();
-    const dayName = d.toLocaleDateString("en-US", { weekday: "long" });
-
-    const card = document.createElement("div");
-    card.className = "day-card text-white";
-    card.innerHTML = `
-      <h3 class="font-semibold">${dayName}</h3>
-      <p class="text-sm text-gray-400">${dateStr}</p>
-    `;
-
-    card.addEventListener("click", () =>
-      selectDay(dayCounter, dayName, dateStr)
-    );
-
-    daysContainer.appendChild(card);
-    dayCounter++;
+// -------------------- Start --------------------
+if (require.main === module) {
+  // Emailed links are built from APP_URL only (see services/mail)
+  if (process.env.NODE_ENV === 'production' && !process.env.APP_URL) {
+    console.error('❌ APP_URL must be set in production (see SETUP.md)');
+    process.exit(1);
   }
-}
-
-// -------------------- Select a day --------------------
-function selectDay(dayNum, dayName, dateStr) {
-  currentDay = dayNum;
-  selectedPlaces = {};
-  currentVibe = null;
-
-  if (!allDaySelections[dayNum]) allDaySelections[dayNum] = [];
-
-  dayPlanContainer.innerHTML = `
-    <div class="flex flex-col gap-4">
-      <div>
-        <h2 class="text-2xl font-semibold text-white">Day ${dayNum}: ${dayName}</h2>
-        <p class="text-gray-400">${dateStr}</p>
-      </div>
-
-      <div class="flex gap-2 overflow-x-auto" id="vibeButtons"></div>
-
-      <div id="savedSummary" class="text-gray-300 text-sm"></div>
-
-      <div id="recommendations" class="grid md:grid-cols-2 gap-4"></div>
-    </div>
-  `;
-
-  renderVibes();
-  updateSavedSummary();
-}
-
-// -------------------- Render vibe buttons --------------------
-function renderVibes() {
-  const vibes = [
-    "Historic",
-    "Foodie",
-    "Beach",
-    "Nature",
-    "Art & Culture",
-    "Shopping",
-    "Nightlife",
-    "Wellness",
-  ];
 
-  const vibeContainer = document.getElementById("vibeButtons");
-  vibeContainer.innerHTML = "";
-
-  vibes.forEach((vibe) => {
-    const btn = document.createElement("button");
-    btn.className = "vibe-btn px-3 py-1 bg-purple-600 text-white rounded text-sm";
-    btn.textContent = vibe;
-
-    btn.addEventListener("click", () => {
-      currentVibe = vibe;
-      fetchVibePlaces(vibe);
+  mongoose.connect(process.env.MONGO_URI)
+    .then(() => console.log('✅ MongoDB connected'))
+    .catch((error) => {
+      console.error('❌ MongoDB connection failed:', error.message);
+      console.log('💡 Check MONGO_URI in your .env file (see SETUP.md)');
     });
 
-    vibeContainer.appendChild(btn);
+  app.listen(PORT, () => {
+    console.log(`🚀 TripTrove server running at http://localhost:${PORT}`);
   });
 }
 
-// -------------------- Fetch places from backend --------------------
-async function fetchVibePlaces(vibe) {
-  const rec = document.getElementById("recommendations");
-  rec.innerHTML = "<p class='text-gray-400'>Loading...</p>";
-
-  try {
-    const response = await fetch("/recommend", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        city: tripData.city,
-        vibes: [vibe], // ✅ VERY IMPORTANT
-      }),
-    });
-
-    const places = await response.json();
-
-    if (!Array.isArray(places)) {
-      rec.innerHTML = `<p class="text-red-500">Invalid response from server</p>`;
-      console.error("Backend response:", places);
-      return;
-    }
-
-    rec.innerHTML = "";
-
-    places.forEach((place) => {
-      const placeCard = document.createElement("div");
-      placeCard.className = "recommendation-card bg-gray-800 p-4 rounded";
-
-      placeCard.innerHTML = `
-        <h4 class="font-semibold text-lg text-white">${place.name}</h4>
-        <p class="text-gray-300 text-sm mb-2">${place.description}</p>
-        <p class="text-gray-400 text-xs mb-3">${place.distance}</p>
-
-        <div class="flex gap-2">
-          <button class="select-btn bg-green-600 text-white px-3 py-1 rounded text-sm">Select</button>
-          <button class="map-btn bg-orange-600 text-white px-3 py-1 rounded text-sm">Map</button>
-        </div>
-      `;
-
-      // Select
-      placeCard.querySelector(".select-btn").onclick = () => {
-        allDaySelections[currentDay].push(place);
-        visitedPlaces[place.name] = true;
-        placeCard.style.opacity = "0.5";
-        placeCard.style.pointerEvents = "none";
-        updateSavedSummary();
-      };
-
-      // Map
-      placeCard.querySelector(".map-btn").onclick = () => {
-        window.open(place.mapUrl, "_blank");
-      };
-
-      rec.appendChild(placeCard);
-    });
-
-  } catch (err) {
-    console.error(err);
-    rec.innerHTML = `<p class="text-red-500">Failed to fetch recommendations</p>`;
-  }
-}
-
-// -------------------- Update saved summary --------------------
-function updateSavedSummary() {
-  const el = document.getElementById("savedSummary");
-  if (!el || currentDay == null) return;
-
-  const count = allDaySelections[currentDay].length;
-  el.textContent =
-    count > 0
-      ? `Saved for Day ${currentDay}: ${count} place(s)`
-      : "No places saved yet";
-}
+module.exports = app;
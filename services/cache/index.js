@@ -0,0 +1,100 @@
+const memory = require('./memory');
+const mongo = require('./mongo');
+
+const backends = { memory, mongo };
+const pending = new Map();
+
+// Pick the cache backend by name, defaulting to RECOMMEND_CACHE (or memory).
+// Every backend exposes get(key) -> Promise<{ value, storedAt } | null>,
+// set(key, entry, { expiresAt }) and purge(prefix) -> Promise<number removed>.
+function getCache(name = process.env.RECOMMEND_CACHE || 'memory') {
+  const cache = backends[String(name).toLowerCase()];
+  if (!cache) throw new Error(`Unsupported RECOMMEND_CACHE: ${name}`);
+  return cache;
+}
+
+function seconds(value, fallback) {
+  const number = parseInt(value, 10);
+  return (number >= 0 ? number : fallback) * 1000;
+}
+
+// How long an entry is fresh, and how much longer it may still be served
+// while a refresh runs in the background
+function cacheTimes() {
+  return {
+    ttlMs: seconds(process.env.RECOMMEND_CACHE_TTL, 6 * 60 * 60),
+    staleMs: seconds(process.env.RECOMMEND_CACHE_STALE, 24 * 60 * 60)
+  };
+}
+
+// Runs load() once per key at a time; concurrent callers share the result
+function loadOnce(key, load, store) {
+  if (!pending.has(key)) {
+    const run = (async () => {
+      const value = await load();
+      await store(value);
+      return value;
+    })().finally(() => pending.delete(key));
+    pending.set(key, run);
+  }
+  return pending.get(key);
+}
+
+// Stores `value` under `key` unless shouldStore(value) is false. Entries are
+// kept for the fresh and stale windows together. A broken cache backend
+// only costs the entry.
+async function store(key, value, { cache = getCache(), shouldStore = () => true } = {}) {
+  if (!shouldStore(value)) return;
+  const { ttlMs, staleMs } = cacheTimes();
+  const storedAt = Date.now();
+  try {
+    await cache.set(key, { value, storedAt }, { expiresAt: new Date(storedAt + ttlMs + staleMs) });
+  } catch (error) {
+    console.error(`Cache "${cache.name}" could not store ${key}:`, error.message);
+  }
+}
+
+// Cached value without loading on a miss: { value, status, ageMs } with
+// status HIT (fresh) or STALE (served as-is while load() refreshes it in the
+// background), or null when there is no usable entry
+async function lookup(key, load, options = {}) {
+  const { cache = getCache() } = options;
+  const { ttlMs, staleMs } = cacheTimes();
+  const now = Date.now();
+
+  let entry = null;
+  try {
+    entry = await cache.get(key);
+  } catch (error) {
+    console.error(`Cache "${cache.name}" could not read ${key}:`, error.message);
+  }
+
+  const ageMs = entry ? now - entry.storedAt : null;
+  if (entry && ageMs < ttlMs) return { value: entry.value, status: 'HIT', ageMs };
+
+  if (entry && ageMs < ttlMs + staleMs) {
+    loadOnce(key, load, (value) => store(key, value, options)).catch((error) => {
+      console.error(`Background refresh of ${key} failed:`, error.message);
+    });
+    return { value: entry.value, status: 'STALE', ageMs };
+  }
+  return null;
+}
+
+// Stale-while-revalidate lookup. Resolves to { value, status, ageMs } where
+// status is HIT, STALE (see lookup) or MISS (loaded now). Values for which
+// shouldStore(value) is false are returned but never cached.
+async function remember(key, load, options = {}) {
+  const cached = await lookup(key, load, options);
+  if (cached) return cached;
+
+  const value = await loadOnce(key, load, (loaded) => store(key, loaded, options));
+  return { value, status: 'MISS', ageMs: 0 };
+}
+
+// Removes entries whose key starts with `prefix` from the given backend
+async function purge(prefix = '', cache = getCache()) {
+  return cache.purge(prefix);
+}
+
+module.exports = { getCache, lookup, store, remember, purge };
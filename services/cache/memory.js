@@ -0,0 +1,39 @@
+// In-process LRU: a Map keeps insertion order, so re-inserting on every read
+// moves an entry to the end and the first key is always the least recent.
+// Entries are stored as JSON so callers can never mutate what is cached.
+const entries = new Map();
+
+function maxEntries() {
+  const size = parseInt(process.env.RECOMMEND_CACHE_SIZE, 10);
+  return size > 0 ? size : 500;
+}
+
+async function get(key) {
+  const raw = entries.get(key);
+  if (raw === undefined) return null;
+  entries.delete(key);
+  entries.set(key, raw);
+  return JSON.parse(raw);
+}
+
+async function set(key, entry) {
+  entries.delete(key);
+  entries.set(key, JSON.stringify(entry));
+  while (entries.size > maxEntries()) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+// Drops every key starting with `prefix` (everything when empty); returns how many
+async function purge(prefix = '') {
+  let removed = 0;
+  for (const key of Array.from(entries.keys())) {
+    if (key.startsWith(prefix)) {
+      entries.delete(key);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+module.exports = { name: 'memory', get, set, purge };
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const CacheEntry = require('../../model/cacheEntry');
+
+// Shared across server processes. Without a database connection every read
+// is a miss and writes are skipped, so recommendations still work.
+function connected() {
+  return mongoose.connection.readyState === 1;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+async function get(key) {
+  if (!connected()) return null;
+  const doc = await CacheEntry.findOne({ key }).lean();
+  return doc ? { value: doc.value, storedAt: doc.storedAt.getTime() } : null;
+}
+
+async function set(key, entry, { expiresAt } = {}) {
+  if (!connected()) return;
+  await CacheEntry.updateOne(
+    { key },
+    { key, value: entry.value, storedAt: new Date(entry.storedAt), expiresAt },
+    { upsert: true }
+  );
+}
+
+async function purge(prefix = '') {
+  if (!connected()) return 0;
+  const filter = prefix ? { key: new RegExp(`^${escapeRegExp(prefix)}`) } : {};
+  const result = await CacheEntry.deleteMany(filter);
+  return result.deletedCount || 0;
+}
+
+module.exports = { name: 'mongo', get, set, purge };
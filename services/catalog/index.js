@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const CatalogPlace = require('../../model/catalogPlace');
+const { placeId } = require('../place');
+const { matchesVibes } = require('../vibes');
+
+const SEED_DIR = path.join(__dirname, 'seed');
+const LIST_SEPARATOR = '|';
+
+let bundled = null;
+
+function cityKey(city) {
+  return placeId(String(city || '').trim());
+}
+
+function toList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(LIST_SEPARATOR);
+  return list.map((item) => String(item).trim()).filter(Boolean);
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Raw JSON/CSV record -> catalog entry (the CatalogPlace fields).
+// Returns null for records without a name or city.
+function toCatalogEntry(raw) {
+  const name = String(raw.name || '').replace(/\s+/g, ' ').trim();
+  const city = String(raw.city || '').trim();
+  if (!name || !city) return null;
+
+  const keys = [city].concat(toList(raw.aliases)).map(cityKey).filter(Boolean);
+  return {
+    placeId: placeId(name, city),
+    name,
+    description: String(raw.description || '').trim(),
+    city,
+    cityKeys: Array.from(new Set(keys)),
+    latitude: toNumber(raw.latitude),
+    longitude: toNumber(raw.longitude),
+    category: String(raw.category || '').trim() || 'General',
+    vibes: toList(raw.vibes),
+    durationMinutes: toNumber(raw.durationMinutes),
+    photos: toList(raw.photos).filter((url) => /^https?:\/\//i.test(url)),
+    rating: toNumber(raw.rating)
+  };
+}
+
+// Minimal CSV: a header row, comma-separated fields, "quoted" fields may
+// hold commas, newlines and doubled "" quotes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter((cells) => cells.some((cell) => cell.trim()));
+  const columns = header.map((column) => column.trim());
+  return records.map((cells) => Object.fromEntries(columns.map((column, i) => [column, cells[i]])));
+}
+
+// Reads one catalog file. JSON is either an array of places or
+// { city, aliases, places: [...] }; CSV has one place per row with list
+// columns (aliases, vibes, photos) separated by "|".
+function readCatalogFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  let records;
+
+  if (path.extname(file).toLowerCase() === '.csv') {
+    records = parseCsv(text);
+  } else {
+    const data = JSON.parse(text);
+    records = Array.isArray(data)
+      ? data
+      : (data.places || []).map((place) => ({ city: data.city, aliases: data.aliases, ...place }));
+  }
+
+  return records.map(toCatalogEntry).filter(Boolean);
+}
+
+// Catalog files shipped in services/catalog/seed/
+function seedFiles() {
+  return fs.readdirSync(SEED_DIR)
+    .filter((file) => /\.(json|csv)$/i.test(file))
+    .map((file) => path.join(SEED_DIR, file));
+}
+
+function bundledEntries() {
+  if (!bundled) bundled = seedFiles().flatMap(readCatalogFile);
+  return bundled;
+}
+
+// Catalog places for a city, best match first: entries matching one of
+// `vibes` by tag or category (or every entry of the city when none does),
+// minus the names in `exclude`. Uses MongoDB when connected and seeded, the
+// bundled seed files otherwise.
+async function findCatalogPlaces(city, { vibes = [], exclude = [] } = {}) {
+  const key = cityKey(city);
+  if (!key) return [];
+
+  let entries = [];
+  if (mongoose.connection.readyState === 1) {
+    entries = await CatalogPlace.find({ cityKeys: key }).lean();
+  }
+  if (entries.length === 0) {
+    entries = bundledEntries().filter((entry) => entry.cityKeys.includes(key));
+  }
+
+  const skipped = new Set(exclude.map((name) => placeId(name)));
+  const available = entries.filter((entry) => !skipped.has(placeId(entry.name)));
+
+  const matching = available.filter((entry) => matchesVibes(entry, vibes));
+
+  return (matching.length > 0 ? matching : available)
+    .slice()
+    .sort((a, b) => (b.rating || 0) - (a.rating || 0) || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  toCatalogEntry,
+  parseCsv,
+  readCatalogFile,
+  seedFiles,
+  findCatalogPlaces
+};
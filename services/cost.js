@@ -0,0 +1,75 @@
+// -------------------- Cost model --------------------
+// Rough per-place costs for trip budgets:
+//
+//   entryFee:  ticket price by place category (an explicit place.entryFee wins)
+//   food:      typical food/activity spend by category
+//   transport: one-way cab fare from the distance (FARE_BASE + FARE_PER_KM × km)
+//   total:     the sum, in whole units of the trip currency
+//
+// Estimates are made in INR and converted with the fixed rates below; they
+// are meant for budgeting, not for quoting prices.
+const { estimateFare } = require('./place');
+
+const DEFAULT_ENTRY_FEE = 100;
+const ENTRY_FEES = {
+  'Historic': 300,
+  'Art & Culture': 200,
+  'Nature': 50,
+  'Viewpoint': 50,
+  'Wellness': 500,
+  'Adventure': 500,
+  'Beach': 0,
+  'Foodie': 0,
+  'Shopping': 0,
+  'Nightlife': 0,
+  'Spiritual': 0
+};
+
+const DEFAULT_SPEND = 300;
+const SPEND = {
+  'Foodie': 600,
+  'Nightlife': 1500,
+  'Shopping': 1000,
+  'Wellness': 1500,
+  'Adventure': 1000
+};
+
+// INR for one unit of each currency offered in the profile
+const INR_RATES = { INR: 1, USD: 83, EUR: 90, GBP: 105, AUD: 55, CAD: 61, SGD: 62, AED: 22.6, JPY: 0.56 };
+
+function toAmount(value) {
+  const number = Number(value);
+  return value !== null && value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+// INR -> whole units of `currency` (unknown currencies stay in INR)
+function convert(amountInr, currency = 'INR') {
+  return Math.round(amountInr / (INR_RATES[currency] || 1));
+}
+
+// Cost breakdown for one place in `currency`. Transport is 0 when the
+// distance is unknown.
+function estimateCost(place, currency = 'INR') {
+  const category = place.category || 'General';
+  const entryFee = toAmount(place.entryFee);
+  const fare = toAmount(place.distance) !== null ? estimateFare(place.distance) : null;
+
+  const cost = {
+    entryFee: convert(entryFee !== null ? entryFee : (ENTRY_FEES[category] ?? DEFAULT_ENTRY_FEE), currency),
+    food: convert(SPEND[category] ?? DEFAULT_SPEND, currency),
+    transport: fare !== null ? convert(fare, currency) : 0
+  };
+  cost.total = cost.entryFee + cost.food + cost.transport;
+  return cost;
+}
+
+// (Re)prices every place on a trip in the trip's currency
+function applyTripCosts(trip) {
+  trip.days.forEach((day) => {
+    day.places.forEach((place) => {
+      place.cost = estimateCost(place, trip.currency);
+    });
+  });
+}
+
+module.exports = { INR_RATES, convert, estimateCost, applyTripCosts };
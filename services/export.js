@@ -0,0 +1,219 @@
+// -------------------- Trip exports --------------------
+// Builds ICS, GPX and a printable HTML page from a saved Trip document,
+// using the same days/places the planner shows.
+
+const EVENT_MINUTES = 90; // default length of a timed itinerary stop
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+// Trip day dates are stored as UTC midnight; read them back the same way
+function dayKey(date) {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}`;
+}
+
+function stamp(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function tripTitle(trip) {
+  return trip.title || `${trip.city} trip`;
+}
+
+function fileName(trip, extension) {
+  const base = tripTitle(trip).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'trip';
+  return `${base}.${extension}`;
+}
+
+// -------------------- ICS --------------------
+function escapeIcs(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545: lines longer than 75 octets continue on the next line after a space
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function addMinutes(key, time, minutes) {
+  const [hours, mins] = time.split(':').map(Number);
+  const d = new Date(Date.UTC(+key.slice(0, 4), +key.slice(4, 6) - 1, +key.slice(6, 8), hours, mins + minutes));
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}00`;
+}
+
+// One VEVENT per place: timed when it has a time slot, all-day otherwise.
+// Times are "floating" (the traveller's local time at the destination).
+function buildIcs(trip) {
+  const now = stamp(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TripTrove//Itinerary//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeIcs(tripTitle(trip))}`
+  ];
+
+  trip.days.forEach((day) => {
+    const key = dayKey(day.date);
+    day.places.forEach((place, index) => {
+      const description = [place.description, place.note].filter(Boolean).join('\n\n');
+      lines.push('BEGIN:VEVENT');
+      lines.push(`UID:${trip._id}-${day.dayNumber}-${index}@triptrove`);
+      lines.push(`DTSTAMP:${now}`);
+      if (place.time) {
+        lines.push(`DTSTART:${addMinutes(key, place.time, 0)}`);
+        lines.push(`DTEND:${addMinutes(key, place.time, EVENT_MINUTES)}`);
+      } else {
+        lines.push(`DTSTART;VALUE=DATE:${key}`);
+      }
+      lines.push(`SUMMARY:${escapeIcs(place.name)}`);
+      if (description) lines.push(`DESCRIPTION:${escapeIcs(description)}`);
+      lines.push(`LOCATION:${escapeIcs([place.name, place.city || trip.city].join(', '))}`);
+      if (place.latitude != null && place.longitude != null) {
+        lines.push(`GEO:${place.latitude};${place.longitude}`);
+      }
+      if (place.mapUrl) lines.push(`URL:${place.mapUrl}`);
+      lines.push('END:VEVENT');
+    });
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// -------------------- GPX --------------------
+function escapeXml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function gpxPoint(tag, place, extra = '') {
+  return `<${tag} lat="${place.latitude}" lon="${place.longitude}">` +
+    `<name>${escapeXml(place.name)}</name>` +
+    (place.description ? `<desc>${escapeXml(place.description)}</desc>` : '') +
+    extra +
+    `</${tag}>`;
+}
+
+// Every located place as a waypoint, plus one route per day in visiting order
+function buildGpx(trip) {
+  const located = (place) => place.latitude != null && place.longitude != null;
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="TripTrove" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXml(tripTitle(trip))}</name></metadata>`
+  ];
+
+  trip.days.forEach((day) => {
+    day.places.filter(located).forEach((place) => {
+      out.push(`  ${gpxPoint('wpt', place, `<type>${escapeXml(place.category)}</type>`)}`);
+    });
+  });
+
+  trip.days.forEach((day) => {
+    const stops = day.places.filter(located);
+    if (stops.length === 0) return;
+    out.push(`  <rte><name>Day ${day.dayNumber}</name>`);
+    stops.forEach((place) => out.push(`    ${gpxPoint('rtept', place)}`));
+    out.push('  </rte>');
+  });
+
+  out.push('</gpx>');
+  return out.join('\n') + '\n';
+}
+
+// -------------------- Print view --------------------
+function escapeHtml(text) {
+  return String(text == null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .replace(/`/g, '&#96;');
+}
+
+function formatDay(date) {
+  return new Date(date).toLocaleDateString('en-US', {
+    weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC'
+  });
+}
+
+function buildPrintHtml(trip) {
+  const days = trip.days.map((day) => {
+    const places = day.places.map((place) => `
+        <li>
+          <div class="stop">${place.time ? `<span class="time">${escapeHtml(place.time)}</span>` : ''}<strong>${escapeHtml(place.name)}</strong></div>
+          ${place.description ? `<p>${escapeHtml(place.description)}</p>` : ''}
+          ${place.note ? `<p class="note">📝 ${escapeHtml(place.note)}</p>` : ''}
+          <p class="meta">${[
+            place.distance != null ? `📍 ${escapeHtml(place.distance)} km` : '',
+            place.rating != null ? `⭐ ${escapeHtml(place.rating)} / 5` : '',
+            place.latitude != null ? `${escapeHtml(place.latitude)}, ${escapeHtml(place.longitude)}` : ''
+          ].filter(Boolean).join(' · ')}</p>
+        </li>`).join('');
+
+    return `
+    <section class="day">
+      <h2>Day ${day.dayNumber} – ${escapeHtml(formatDay(day.date))}${day.status === 'completed' ? ' ✓' : ''}</h2>
+      ${places ? `<ol>${places}</ol>` : '<p class="empty">Nothing planned yet.</p>'}
+      ${day.notes ? `<p class="note">${escapeHtml(day.notes)}</p>` : ''}
+    </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(tripTitle(trip))} – TripTrove itinerary</title>
+  <style>
+    body { font-family: 'Montserrat', Arial, sans-serif; max-width: 800px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+    h1 { margin-bottom: 0; }
+    .dates { color: #666; margin-top: 0.25rem; }
+    .hint { background: #eef4ff; padding: 0.5rem 1rem; border-radius: 6px; }
+    .day { page-break-inside: avoid; border-top: 2px solid #0056b3; margin-top: 1.5rem; }
+    .time { display: inline-block; min-width: 3.5rem; color: #0056b3; font-weight: 600; }
+    li { margin-bottom: 0.75rem; }
+    li p { margin: 0.25rem 0; }
+    .meta, .empty { color: #666; font-size: 0.85rem; }
+    .note { font-style: italic; }
+    @media print { .hint { display: none; } body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(tripTitle(trip))}</h1>
+  <p class="dates">${escapeHtml(trip.city)} · ${escapeHtml(formatDay(trip.startDate))} – ${escapeHtml(formatDay(trip.endDate))}</p>
+  <p class="hint">Press Ctrl+P (⌘P on Mac) to print this itinerary or save it as a PDF.</p>
+  ${days}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  buildIcs,
+  buildGpx,
+  buildPrintHtml,
+  fileName
+};
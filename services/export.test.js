@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildPrintHtml } = require('./export');
+
+function tripWith(place, extra = {}) {
+  return {
+    city: 'Goa',
+    startDate: '2026-03-01',
+    endDate: '2026-03-01',
+    ...extra,
+    days: [{ dayNumber: 1, date: '2026-03-01', status: 'planned', notes: extra.notes || '', places: [place] }]
+  };
+}
+
+test('hostile place fields are escaped in the print view', () => {
+  const page = buildPrintHtml(tripWith({
+    name: '<img src=x onerror=alert(1)>',
+    description: '"><script>alert(1)</script>',
+    note: '`${alert(1)}`',
+    time: "'><svg onload=alert(1)>",
+    distance: 2,
+    rating: 4.5
+  }, { title: '</title><script>alert(1)</script>', notes: '<iframe src="javascript:alert(1)">' }));
+
+  assert.doesNotMatch(page, /<script|<img|<svg|<iframe/i);
+  assert.ok(page.includes('<strong>&lt;img src=x onerror=alert(1)&gt;</strong>'));
+  assert.ok(page.includes('<p>&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;</p>'));
+  assert.ok(page.includes('📝 &#96;${alert(1)}&#96;'));
+  assert.ok(page.includes('<title>&lt;/title&gt;&lt;script&gt;alert(1)&lt;/script&gt; – TripTrove itinerary</title>'));
+  assert.equal(page.match(/<\/title>/g).length, 1);
+});
+
+test('the print view renders a plain itinerary unchanged', () => {
+  const page = buildPrintHtml(tripWith({ name: 'Fort Aguada', description: 'A 17th-century fort.', distance: 18 }));
+  assert.ok(page.includes('<title>Goa trip – TripTrove itinerary</title>'));
+  assert.ok(page.includes('<strong>Fort Aguada</strong>'));
+  assert.ok(page.includes('📍 18 km'));
+});
@@ -0,0 +1,20 @@
+const EARTH_RADIUS_KM = 6371;
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+// Great-circle distance in km between two { latitude, longitude } points
+function haversineKm(a, b) {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+function hasCoordinates(point) {
+  return Boolean(point) && point.latitude != null && point.longitude != null;
+}
+
+module.exports = { haversineKm, hasCoordinates };
@@ -0,0 +1,15 @@
+const fixtures = require('./fixtures.json');
+
+// Offline geocoder backed by fixtures.json, for tests and local development
+const table = new Map();
+Object.values(fixtures).forEach((entry) => {
+  [entry.name].concat(entry.aliases || []).forEach((key) => table.set(key.toLowerCase(), entry));
+});
+
+async function geocode(query) {
+  const key = String(query || '').split(',')[0].trim().toLowerCase();
+  const entry = table.get(key);
+  return entry ? { name: entry.name, latitude: entry.latitude, longitude: entry.longitude } : null;
+}
+
+module.exports = { name: 'fixture', geocode };
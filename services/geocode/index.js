@@ -0,0 +1,43 @@
+const nominatim = require('./nominatim');
+const fixture = require('./fixture');
+
+const providers = { nominatim, fixture };
+
+// LRU of lookups (see services/cache/memory.js): keys include every place
+// name a model came up with, so the map is capped. Places do not move, but a
+// miss may be a geocoder hiccup or a name it learns later, so nulls expire.
+const cache = new Map(); // key -> { result, at }
+const CACHE_SIZE = 5000;
+const NULL_TTL_MS = 60 * 60 * 1000;
+
+// Pick the geocoder by name, defaulting to GEOCODER (or Nominatim).
+// Every geocoder exposes geocode(query) -> Promise<{ name, latitude, longitude } | null>.
+function getGeocoder(name = process.env.GEOCODER || 'nominatim') {
+  const geocoder = providers[String(name).toLowerCase()];
+  if (!geocoder) throw new Error(`Unsupported GEOCODER: ${name}`);
+  return geocoder;
+}
+
+// Geocode with an in-process cache; lookup failures resolve to null
+async function geocode(query, geocoder = getGeocoder()) {
+  const key = `${geocoder.name}:${String(query).trim().toLowerCase()}`;
+  const hit = cache.get(key);
+  if (hit && (hit.result || Date.now() - hit.at < NULL_TTL_MS)) {
+    cache.delete(key);
+    cache.set(key, hit);
+    return hit.result;
+  }
+
+  try {
+    const result = await geocoder.geocode(query);
+    cache.delete(key);
+    cache.set(key, { result, at: Date.now() });
+    while (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+    return result;
+  } catch (error) {
+    console.error(`Geocoder "${geocoder.name}" failed for "${query}":`, error.message);
+    return null;
+  }
+}
+
+module.exports = { getGeocoder, geocode };
@@ -0,0 +1,44 @@
+const axios = require('axios');
+
+// OpenStreetMap Nominatim search API (free, 1 request/second). Lookups go out
+// one at a time through a queue that keeps that pace; a self-hosted instance
+// can lower it with NOMINATIM_INTERVAL_MS.
+let queue = Promise.resolve();
+let lastRequestAt = 0;
+
+function intervalMs() {
+  const value = parseInt(process.env.NOMINATIM_INTERVAL_MS, 10);
+  return value >= 0 ? value : 1000;
+}
+
+// Runs fn once the previous lookup has finished and the interval has passed
+function throttled(fn) {
+  const run = queue.then(async () => {
+    const wait = lastRequestAt + intervalMs() - Date.now();
+    if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+    lastRequestAt = Date.now();
+    return fn();
+  });
+  queue = run.catch(() => {});
+  return run;
+}
+
+async function geocode(query) {
+  const baseUrl = process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org';
+  const response = await throttled(() => axios.get(`${baseUrl}/search`, {
+    params: { q: query, format: 'json', limit: 1 },
+    headers: { 'User-Agent': 'TripTrove/1.0' },
+    timeout: 10000
+  }));
+
+  const match = response.data && response.data[0];
+  if (!match) return null;
+
+  return {
+    name: match.display_name,
+    latitude: parseFloat(match.lat),
+    longitude: parseFloat(match.lon)
+  };
+}
+
+module.exports = { name: 'nominatim', geocode };
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const nominatim = require('./nominatim');
+
+test('lookups go out one at a time, at most one per interval', async () => {
+  process.env.NOMINATIM_INTERVAL_MS = '100';
+  const started = [];
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const original = axios.get;
+  axios.get = async (url, { params }) => {
+    started.push(Date.now());
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    inFlight--;
+    if (params.q === 'Nowhere') throw new Error('HTTP 500');
+    return { data: [{ display_name: params.q, lat: '15.5', lon: '73.8' }] };
+  };
+
+  try {
+    const results = await Promise.allSettled(['Goa', 'Nowhere', 'Fort Aguada, Goa'].map((q) => nominatim.geocode(q)));
+    assert.equal(results[0].value.latitude, 15.5);
+    assert.equal(results[1].status, 'rejected'); // a failure does not stall the queue
+    assert.equal(results[2].value.name, 'Fort Aguada, Goa');
+
+    assert.equal(maxInFlight, 1);
+    for (let i = 1; i < started.length; i++) {
+      assert.ok(started[i] - started[i - 1] >= 95, `gap ${started[i] - started[i - 1]} ms`);
+    }
+  } finally {
+    axios.get = original;
+  }
+});
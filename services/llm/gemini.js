@@ -0,0 +1,61 @@
+const axios = require('axios');
+const { readEventStream } = require('./sse');
+
+const API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+function settings() {
+  const apiKey = process.env.GEMINI_API_KEY;
+  if (!apiKey) throw new Error('GEMINI_API_KEY is not set');
+  return {
+    model: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+    headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey }
+  };
+}
+
+function requestBody(prompt) {
+  return {
+    contents: [{ parts: [{ text: prompt }] }],
+    generationConfig: { temperature: 0.7, maxOutputTokens: 1024 }
+  };
+}
+
+function partsText(data) {
+  const candidate = data.candidates && data.candidates[0];
+  const parts = candidate && candidate.content && candidate.content.parts;
+  return parts ? parts.map((part) => part.text || '').join('') : '';
+}
+
+// Google Gemini generateContent API
+async function generate(prompt) {
+  const { model, headers } = settings();
+  const response = await axios.post(`${API_BASE}/${model}:generateContent`, requestBody(prompt), {
+    headers,
+    timeout: 30000
+  });
+
+  const text = partsText(response.data);
+  if (!text) throw new Error('No content generated by Gemini');
+  return text;
+}
+
+// streamGenerateContent over SSE; onText gets each piece of the reply as it arrives
+async function stream(prompt, context, { signal, onText }) {
+  const { model, headers } = settings();
+  const response = await axios.post(`${API_BASE}/${model}:streamGenerateContent?alt=sse`, requestBody(prompt), {
+    headers,
+    timeout: 30000,
+    responseType: 'stream',
+    signal
+  });
+
+  let text = '';
+  await readEventStream(response.data, (data) => {
+    const piece = partsText(JSON.parse(data));
+    text += piece;
+    if (piece) onText(piece);
+  });
+  if (!text) throw new Error('No content generated by Gemini');
+  return text;
+}
+
+module.exports = { name: 'gemini', generate, stream };
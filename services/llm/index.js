@@ -0,0 +1,25 @@
+const gemini = require('./gemini');
+const openai = require('./openai');
+const mock = require('./mock');
+
+const providers = { gemini, openai, mock };
+
+// Pick the LLM adapter by name, defaulting to LLM_PROVIDER (or Gemini).
+// Every adapter exposes generate(prompt, context) -> Promise<string>; those
+// that can stream also expose stream(prompt, context, { signal, onText }),
+// which calls onText with each piece of the reply and resolves to all of it.
+function getProvider(name = process.env.LLM_PROVIDER || 'gemini') {
+  const provider = providers[String(name).toLowerCase()];
+  if (!provider) throw new Error(`Unsupported LLM_PROVIDER: ${name}`);
+  return provider;
+}
+
+// Streams the reply when the adapter can, else hands over the whole reply at once
+async function streamReply(provider, prompt, context, { signal, onText }) {
+  if (provider.stream) return provider.stream(prompt, context, { signal, onText });
+  const text = await provider.generate(prompt, context);
+  onText(text);
+  return text;
+}
+
+module.exports = { getProvider, streamReply };
@@ -0,0 +1,39 @@
+// Deterministic offline provider for local development and tests.
+// Replies in the same "Name | Description | Distance | Lat, Lng | Rating | Category"
+// format as a real model, and skips any names the caller asked to exclude.
+// With a geocoded city center, place N sits 2N km due north of it.
+async function generate(prompt, context = {}) {
+  const city = context.city || 'the city';
+  const vibe = (context.vibes && context.vibes[0]) || 'Popular';
+  const center = context.center;
+  const exclude = new Set((context.exclude || []).map((name) => name.toLowerCase()));
+
+  const lines = [];
+  for (let i = 1; lines.length < 4 && i <= 4 + exclude.size; i++) {
+    const name = `${city} ${vibe} Spot ${i}`;
+    if (exclude.has(name.toLowerCase())) continue;
+
+    const km = i * 2;
+    const coordinates = center
+      ? `${(center.latitude + km / 111.2).toFixed(5)}, ${center.longitude.toFixed(5)}`
+      : '';
+    const rating = (4 + (i % 5) / 10).toFixed(1);
+
+    lines.push(`${name} | A well-loved ${vibe.toLowerCase()} place in ${city}. | ${km} km from city center | ${coordinates} | ${rating} | ${vibe}`);
+  }
+
+  return lines.join('\n');
+}
+
+// Sends the same reply one line at a time, as a streaming model would
+async function stream(prompt, context, { signal, onText }) {
+  const lines = (await generate(prompt, context)).split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    if (signal && signal.aborted) throw new Error('Aborted');
+    onText(i < lines.length - 1 ? `${lines[i]}\n` : lines[i]);
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  return lines.join('\n');
+}
+
+module.exports = { name: 'mock', generate, stream };
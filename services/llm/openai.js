@@ -0,0 +1,55 @@
+const axios = require('axios');
+const { readEventStream } = require('./sse');
+
+function settings() {
+  const apiKey = process.env.OPENAI_API_KEY;
+  if (!apiKey) throw new Error('OPENAI_API_KEY is not set');
+  return {
+    url: `${(process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '')}/chat/completions`,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${apiKey}` }
+  };
+}
+
+function requestBody(prompt) {
+  return {
+    model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
+    messages: [{ role: 'user', content: prompt }],
+    temperature: 0.7,
+    max_tokens: 1024
+  };
+}
+
+// Any OpenAI-compatible chat completions API (OpenAI, Azure proxies, Ollama, ...)
+async function generate(prompt) {
+  const { url, headers } = settings();
+  const response = await axios.post(url, requestBody(prompt), { headers, timeout: 30000 });
+
+  const choice = response.data.choices && response.data.choices[0];
+  if (!choice || !choice.message) throw new Error('No content generated by OpenAI');
+
+  return choice.message.content;
+}
+
+// stream: true sends the reply as SSE deltas, ending with "data: [DONE]"
+async function stream(prompt, context, { signal, onText }) {
+  const { url, headers } = settings();
+  const response = await axios.post(url, { ...requestBody(prompt), stream: true }, {
+    headers,
+    timeout: 30000,
+    responseType: 'stream',
+    signal
+  });
+
+  let text = '';
+  await readEventStream(response.data, (data) => {
+    if (data === '[DONE]') return;
+    const choice = (JSON.parse(data).choices || [])[0];
+    const piece = (choice && choice.delta && choice.delta.content) || '';
+    text += piece;
+    if (piece) onText(piece);
+  });
+  if (!text) throw new Error('No content generated by OpenAI');
+  return text;
+}
+
+module.exports = { name: 'openai', generate, stream };
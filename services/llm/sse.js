@@ -0,0 +1,20 @@
+// Reads a text/event-stream response body (a Node readable stream) and
+// calls onData(payload) with the text after "data:" on every data line.
+// Both the Gemini and OpenAI streaming APIs send one JSON object per line.
+async function readEventStream(body, onData) {
+  body.setEncoding('utf8');
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, end).replace(/\r$/, '');
+      buffer = buffer.slice(end + 1);
+      if (line.startsWith('data:')) onData(line.slice(5).trim());
+    }
+  }
+  if (buffer.startsWith('data:')) onData(buffer.slice(5).trim());
+}
+
+module.exports = { readEventStream };
@@ -0,0 +1,7 @@
+// Development transport: prints the message (and its links) to the server log
+async function send({ to, subject, text }) {
+  console.log(`📧 Mail to ${to}: ${subject}\n${text}\n`);
+  return { id: null };
+}
+
+module.exports = { name: 'console', send };
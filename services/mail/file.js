@@ -0,0 +1,17 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// Offline transport: writes each message as JSON into MAIL_DIR
+// (default <tmpdir>/triptrove-mail) so tests can read the links back
+async function send(message) {
+  const dir = process.env.MAIL_DIR || path.join(os.tmpdir(), 'triptrove-mail');
+  await fs.mkdir(dir, { recursive: true });
+
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const file = path.join(dir, `${id}.json`);
+  await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+  return { id, file };
+}
+
+module.exports = { name: 'file', send };
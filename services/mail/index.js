@@ -0,0 +1,47 @@
+const consoleTransport = require('./console');
+const file = require('./file');
+
+const transports = { console: consoleTransport, file };
+
+// Pick the mail transport by name, defaulting to MAIL_TRANSPORT (or console).
+// Every transport exposes send({ from, to, subject, text }) -> Promise<{ id }>.
+function getTransport(name = process.env.MAIL_TRANSPORT || 'console') {
+  const transport = transports[String(name).toLowerCase()];
+  if (!transport) throw new Error(`Unsupported MAIL_TRANSPORT: ${name}`);
+  return transport;
+}
+
+function sendMail(message, transport = getTransport()) {
+  return transport.send({ from: process.env.MAIL_FROM || 'TripTrove <no-reply@triptrove.local>', ...message });
+}
+
+// Base for links in emails and share links: APP_URL, or this server on
+// localhost in development. Never the request's Host header: a client could
+// set it to their own domain and receive someone else's reset token.
+function appUrl() {
+  if (process.env.APP_URL) return process.env.APP_URL.replace(/\/+$/, '');
+  if (process.env.NODE_ENV === 'production') throw new Error('APP_URL is not set');
+  return `http://localhost:${process.env.PORT || 3000}`;
+}
+
+async function sendVerificationEmail(user, token) {
+  const link = `${appUrl()}/verify-email?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your TripTrove email',
+    text: `Hi ${user.username},\n\nConfirm your email address by opening this link within 24 hours:\n${link}\n\n` +
+      "If you didn't sign up for TripTrove, you can ignore this email."
+  });
+}
+
+async function sendPasswordResetEmail(user, token) {
+  const link = `${appUrl()}/reset-password.html?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your TripTrove password',
+    text: `Hi ${user.username},\n\nSet a new password with this link. It works once and expires in 1 hour:\n${link}\n\n` +
+      "If you didn't ask for a reset, you can ignore this email; your password is unchanged."
+  });
+}
+
+module.exports = { getTransport, sendMail, appUrl, sendVerificationEmail, sendPasswordResetEmail };
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { appUrl, sendPasswordResetEmail } = require('./index');
+
+// Sets env vars for the duration of fn, then restores them
+async function withEnv(vars, fn) {
+  const saved = {};
+  Object.keys(vars).forEach((key) => {
+    saved[key] = process.env[key];
+    if (vars[key] === undefined) delete process.env[key];
+    else process.env[key] = vars[key];
+  });
+  try {
+    return await fn();
+  } finally {
+    Object.keys(saved).forEach((key) => {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    });
+  }
+}
+
+test('links use APP_URL without a trailing slash', () => withEnv({ APP_URL: 'https://triptrove.example.com/' }, () => {
+  assert.equal(appUrl(), 'https://triptrove.example.com');
+}));
+
+test('without APP_URL links point at localhost, and production refuses to build them', () =>
+  withEnv({ APP_URL: undefined, PORT: '4000', NODE_ENV: undefined }, async () => {
+    assert.equal(appUrl(), 'http://localhost:4000');
+    await withEnv({ NODE_ENV: 'production' }, () => assert.throws(() => appUrl(), /APP_URL/));
+  }));
+
+test('reset emails link to APP_URL, whatever host the request came in on', () =>
+  withEnv({ APP_URL: 'https://triptrove.example.com', MAIL_TRANSPORT: 'console' }, async () => {
+    const sent = [];
+    const original = console.log;
+    console.log = (...args) => sent.push(args.join(' '));
+    try {
+      await sendPasswordResetEmail({ username: 'ana', email: 'ana@example.com' }, 'abc123');
+    } finally {
+      console.log = original;
+    }
+    const text = sent.join('\n');
+    assert.match(text, /https:\/\/triptrove\.example\.com\/reset-password\.html\?token=abc123/);
+  }));
@@ -0,0 +1,158 @@
+// -------------------- Place schema --------------------
+// Every place the API hands to the browser goes through normalizePlace(),
+// so front.js and the planner can rely on these fields:
+//
+// {
+//   id:          'cubbon-park--bangalore'   stable id from name + city
+//   name:        'Cubbon Park'
+//   description: 'Large public park ...'
+//   city:        'Bangalore'
+//   latitude:    12.9767 | null
+//   longitude:   77.5928 | null
+//   distance:    1.2 | null                 km from the city center
+//   rating:      4.5 | null                 0-5; the community average once reviewed
+//   reviewCount: 3                          community reviews behind `rating`
+//   fare:        120 | null                 estimated one-way cab fare
+//   category:    'Nature'
+//   vibes:       ['Nature', 'Peaceful']
+//   durationMinutes: 90 | null             typical visit length (catalog places)
+//   photos:      ['https://...']           http(s) photo URLs, may be empty
+//   mapUrl:      'https://www.google.com/maps/search/?api=1&query=...'
+//   source:      'gemini' | 'openai' | 'mock' | 'catalog' | ...
+//   fetchedAt:   '2025-01-01T00:00:00.000Z'
+// }
+
+const FARE_BASE = Number(process.env.FARE_BASE) || 50;
+const FARE_PER_KM = Number(process.env.FARE_PER_KM) || 15;
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function placeId(name, city) {
+  return city ? `${slugify(name)}--${slugify(city)}` : slugify(name);
+}
+
+// "3 km from city center" -> 3, "800 m" -> 0.8, "2 miles" -> 3.2
+function parseDistanceKm(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? round(value, 1) : null;
+  if (!value) return null;
+
+  const match = String(value).match(/(\d+(?:\.\d+)?)\s*(km|kilomet\w*|m\b|met\w*|mi\w*)?/i);
+  if (!match) return null;
+
+  let km = parseFloat(match[1]);
+  const unit = (match[2] || 'km').toLowerCase();
+  if (unit.startsWith('mi')) km *= 1.609;
+  else if (unit === 'm' || unit.startsWith('met')) km /= 1000;
+
+  return round(km, 1);
+}
+
+// Accepts { latitude, longitude }, { lat, lng } or a "lat,lng" string
+function parseCoordinates(raw) {
+  let lat = toNumber(raw.latitude !== undefined ? raw.latitude : raw.lat);
+  let lng = toNumber(raw.longitude !== undefined ? raw.longitude : raw.lng);
+
+  if ((lat === null || lng === null) && typeof raw.coordinates === 'string') {
+    const [a, b] = raw.coordinates.split(',').map(toNumber);
+    lat = a;
+    lng = b;
+  }
+
+  const valid = lat !== null && lng !== null && Math.abs(lat) <= 90 && Math.abs(lng) <= 180 &&
+    !(lat === 0 && lng === 0);
+  return valid ? { latitude: round(lat, 6), longitude: round(lng, 6) } : { latitude: null, longitude: null };
+}
+
+function estimateFare(distanceKm) {
+  if (distanceKm === null) return null;
+  return Math.round(FARE_BASE + FARE_PER_KM * distanceKm);
+}
+
+function mapUrlFor({ name, city, latitude, longitude }) {
+  const query = latitude !== null ? `${latitude},${longitude}` : [name, city].filter(Boolean).join(' ');
+  return `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(query)}`;
+}
+
+// Coerce a raw provider/catalog object into the Place schema.
+// Returns null when there is nothing usable (no name).
+function normalizePlace(raw, defaults = {}) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const name = String(raw.name || '').replace(/\s+/g, ' ').trim().slice(0, 120);
+  if (!name) return null;
+
+  const city = String(raw.city || defaults.city || '').trim();
+  const { latitude, longitude } = parseCoordinates(raw);
+  const distance = parseDistanceKm(raw.distance);
+
+  let rating = toNumber(raw.rating);
+  rating = rating !== null && rating >= 0 && rating <= 5 ? round(rating, 1) : null;
+
+  const duration = toNumber(raw.durationMinutes);
+
+  let fare = toNumber(raw.fare);
+  fare = fare !== null && fare >= 0 ? Math.round(fare) : estimateFare(distance);
+
+  const vibes = Array.from(new Set([].concat(raw.vibes || [], defaults.vibes || [])
+    .map((vibe) => String(vibe).trim())
+    .filter(Boolean)));
+
+  const place = {
+    id: placeId(name, city),
+    name,
+    description: String(raw.description || '').trim().slice(0, 500),
+    city,
+    latitude,
+    longitude,
+    distance,
+    rating,
+    reviewCount: Math.max(0, Math.round(toNumber(raw.reviewCount) || 0)),
+    fare,
+    category: String(raw.category || vibes[0] || 'General').trim(),
+    vibes,
+    durationMinutes: duration !== null && duration > 0 ? Math.round(duration) : null,
+    photos: [].concat(raw.photos || []).map(String).filter((url) => /^https?:\/\//i.test(url)).slice(0, 5),
+    source: raw.source || defaults.source || 'unknown',
+    fetchedAt: raw.fetchedAt || defaults.fetchedAt || new Date().toISOString()
+  };
+  place.mapUrl = mapUrlFor(place);
+
+  return place;
+}
+
+// Place -> the shape stored by model/savedPlace.js (trips, favorites),
+// keeping the itinerary time slot and note if present
+function toSavedPlace(raw, defaults = {}) {
+  const place = normalizePlace(raw, defaults);
+  if (!place) return null;
+  const { id, fetchedAt, ...rest } = place;
+  const time = /^([01]\d|2[0-3]):[0-5]\d$/.test(raw.time) ? raw.time : '';
+  const note = typeof raw.note === 'string' ? raw.note.trim().slice(0, 500) : '';
+  return { placeId: id, ...rest, time, note };
+}
+
+module.exports = {
+  normalizePlace,
+  toSavedPlace,
+  parseDistanceKm,
+  estimateFare,
+  placeId
+};
@@ -0,0 +1,373 @@
+const crypto = require('crypto');
+const { getProvider, streamReply } = require('./llm');
+const { normalizePlace, estimateFare, placeId } = require('./place');
+const { getGeocoder, geocode } = require('./geocode');
+const { haversineKm, hasCoordinates } = require('./geo');
+const { lookup, store, remember } = require('./cache');
+const { findCatalogPlaces } = require('./catalog');
+const { canonicalVibes, categoriesFor } = require('./vibes');
+
+const PLACES_PER_REQUEST = 4;
+const MAX_ATTEMPTS = 3;
+const MIN_RADIUS_KM = 1;
+const MAX_RADIUS_KM = 50;
+
+function toList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value])
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+}
+
+// travelRadius slider range; anything else means "no radius"
+function toRadius(value) {
+  const radius = parseFloat(value);
+  if (!Number.isFinite(radius) || radius <= 0) return null;
+  return Math.min(MAX_RADIUS_KM, Math.max(MIN_RADIUS_KM, radius));
+}
+
+// Accepts both the front.html body ({ vibes: [], radius }) and the planner's
+// ({ vibe, visited, selected, bookmarked, tripId, iteration, rainLikely }).
+// `exclude` is filled in server-side from the saved trip, never from the body.
+// Vibes are mapped to their taxonomy label, so "Historical" means "Historic".
+function normalizeRequest(body = {}) {
+  const iteration = parseInt(body.iteration, 10);
+  return {
+    city: String(body.city || '').trim(),
+    vibes: canonicalVibes(toList(body.vibes).concat(toList(body.vibe))),
+    visited: toList(body.visited),
+    bookmarked: toList(body.bookmarked),
+    selected: toList(body.selected),
+    exclude: [],
+    radius: toRadius(body.radius),
+    tripId: body.tripId ? String(body.tripId) : null,
+    iteration: iteration > 0 ? iteration : 1,
+    rainLikely: body.rainLikely === true || body.rainLikely === 'true'
+  };
+}
+
+// Case/punctuation-insensitive key used to spot repeated places
+function nameKey(name) {
+  return placeId(name);
+}
+
+function excludedNames({ visited, selected, exclude }) {
+  const seen = new Set();
+  return visited.concat(selected, exclude).filter((name) => {
+    const key = nameKey(name);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function buildPrompt(request) {
+  const { city, vibes, visited, bookmarked, selected, radius, iteration, rainLikely } = request;
+  const vibe = vibes.join(', ') || 'popular';
+  const exclude = excludedNames(request);
+  const context = `City: ${city}, Vibe: ${vibe}, Already visited: ${visited.join(', ') || 'none'}, ` +
+    `Recently selected: ${selected.join(', ') || 'none'}, ` +
+    `Bookmarked places to include: ${bookmarked.join(', ') || 'none'}, Iteration: ${iteration}`;
+
+  const within = radius ? ` within ${radius} km of the city center` : '';
+  const again = iteration > 1 ? ' This request has been made before, so suggest different places than last time.' : '';
+  const rain = rainLikely ? ' Rain is likely that day, so prefer indoor or covered places.' : '';
+  const categories = categoriesFor(vibes);
+  const category = categories.length ? ` (one of: ${categories.join(', ')})` : '';
+
+  return `Recommend ${PLACES_PER_REQUEST} unique ${vibe} places in ${city}${within}. Context: ${context}.${again}${rain} ` +
+    `Requirements: 1) Do NOT repeat places from: ${exclude.join(', ') || 'none'}. ` +
+    '2) If bookmarked places exist, include 1-2 of them in the 4 recommendations. ' +
+    '3) For each place, provide ONLY: Place name, Short description (1-2 sentences), Distance from city center in km, ' +
+    `Latitude and longitude, Rating out of 5, Category${category}. ` +
+    '4) Format each place on a new line with: Name | Description | Distance | Latitude, Longitude | Rating | Category';
+}
+
+// Turns "1. **Name** | Description | Distance [| Lat, Lng | Rating | Category]"
+// lines into raw place objects; the trailing columns are optional.
+function parsePlaces(text) {
+  return String(text || '')
+    .split('\n')
+    .filter((line) => line.includes('|'))
+    .map((line) => line.split('|').map((part) => part.replace(/\*\*/g, '').trim()))
+    .filter((parts) => parts.length >= 3)
+    .map(([rawName, description, distance, coordinates, rating, category]) => ({
+      name: rawName.replace(/^(\d+[.)]|[-*•])\s*/, '').trim(),
+      description,
+      distance,
+      coordinates,
+      rating,
+      category
+    }))
+    .filter((place) => place.name && !/^name$/i.test(place.name));
+}
+
+// Replace model-reported distances with haversine distances from the city
+// center, then drop anything outside the radius. Places we could not locate
+// keep their reported distance and go after the verified ones.
+async function applyRadius(places, center, radius, geocoder) {
+  const located = [];
+  const unlocated = [];
+
+  for (const place of places) {
+    if (!hasCoordinates(place) && center) {
+      const point = await geocode(`${place.name}, ${place.city}`, geocoder);
+      if (point) {
+        place.latitude = point.latitude;
+        place.longitude = point.longitude;
+      }
+    }
+
+    if (center && hasCoordinates(place)) {
+      place.distance = Math.round(haversineKm(center, place) * 10) / 10;
+      place.fare = estimateFare(place.distance);
+      located.push(place);
+    } else {
+      unlocated.push(place);
+    }
+  }
+
+  const inside = (place) => !radius || place.distance === null || place.distance <= radius;
+  return located.filter(inside).concat(unlocated.filter(inside));
+}
+
+// The model is told which places to skip, but we don't trust it: anything
+// it repeats is dropped here, and if that leaves us short we ask again with
+// the rejects added to the exclusion list.
+async function recommendPlaces(request, { provider = getProvider(), geocoder = getGeocoder() } = {}) {
+  try {
+    const center = await geocode(request.city, geocoder);
+    const defaults = { city: request.city, vibes: request.vibes, source: provider.name, fetchedAt: new Date().toISOString() };
+    const blocked = new Set(excludedNames(request).map(nameKey));
+    const places = [];
+    const rejected = [];
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS && places.length < PLACES_PER_REQUEST; attempt++) {
+      const current = { ...request, exclude: request.exclude.concat(places.map((place) => place.name), rejected) };
+      const reply = await provider.generate(buildPrompt(current), {
+        city: request.city,
+        vibes: request.vibes,
+        exclude: excludedNames(current),
+        center,
+        radius: request.radius
+      });
+
+      let repeated = false;
+      parsePlaces(reply).forEach((raw) => {
+        const place = normalizePlace(raw, defaults);
+        if (!place) return;
+
+        const key = nameKey(place.name);
+        if (blocked.has(key)) {
+          repeated = true;
+          rejected.push(place.name);
+          return;
+        }
+        blocked.add(key);
+        places.push(place);
+      });
+
+      // Nothing was repeated, so asking again would not get us more
+      if (!repeated) break;
+    }
+
+    if (places.length === 0) throw new Error('Provider reply had no parsable places');
+
+    const nearby = await applyRadius(places, center, request.radius, geocoder);
+    return nearby.slice(0, PLACES_PER_REQUEST);
+  } catch (error) {
+    console.error(`Recommendation provider "${provider.name}" failed:`, error.message);
+    return catalogPlaces(request, geocoder);
+  }
+}
+
+// Splits streamed text into lines; end() hands over the last, unterminated one
+function lineReader(onLine) {
+  let buffer = '';
+  return {
+    push(text) {
+      buffer += text;
+      let end;
+      while ((end = buffer.indexOf('\n')) >= 0) {
+        onLine(buffer.slice(0, end));
+        buffer = buffer.slice(end + 1);
+      }
+    },
+    end() {
+      if (buffer.trim()) onLine(buffer);
+      buffer = '';
+    }
+  };
+}
+
+// Streaming counterpart of recommendPlaces(): each place goes to
+// onPlace(place) as soon as its line of the reply is complete and it passes
+// the repeat and radius checks. Places come in reply order rather than
+// located-first. If the provider fails before sending a place, the catalog
+// places are sent instead. Nothing more is sent once `signal` aborts.
+// Resolves to the places sent.
+async function streamRecommendPlaces(request, { provider = getProvider(), geocoder = getGeocoder(), signal, onPlace }) {
+  const places = [];
+  const aborted = () => Boolean(signal && signal.aborted);
+  // onPlace gets a copy, so what it adds (costs, ratings) never reaches the cache
+  const send = async (place) => {
+    places.push(place);
+    await onPlace({ ...place });
+  };
+
+  try {
+    const center = await geocode(request.city, geocoder);
+    const defaults = { city: request.city, vibes: request.vibes, source: provider.name, fetchedAt: new Date().toISOString() };
+    const blocked = new Set(excludedNames(request).map(nameKey));
+    const rejected = [];
+    let parsed = 0;
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS && places.length < PLACES_PER_REQUEST; attempt++) {
+      const current = { ...request, exclude: request.exclude.concat(places.map((place) => place.name), rejected) };
+      let repeated = false;
+      let failure = null;
+      let queue = Promise.resolve();
+
+      const handleLine = async (line) => {
+        const [raw] = parsePlaces(line);
+        const place = raw && normalizePlace(raw, defaults);
+        if (!place) return;
+        parsed++;
+
+        const key = nameKey(place.name);
+        if (blocked.has(key)) {
+          repeated = true;
+          rejected.push(place.name);
+          return;
+        }
+        blocked.add(key);
+
+        const [nearby] = await applyRadius([place], center, request.radius, geocoder);
+        if (nearby && places.length < PLACES_PER_REQUEST && !aborted()) await send(nearby);
+      };
+
+      // Lines are handled one after another; the first failure is rethrown below
+      const lines = lineReader((line) => {
+        queue = queue.then(() => handleLine(line)).catch((error) => { failure = failure || error; });
+      });
+      await streamReply(provider, buildPrompt(current), {
+        city: request.city,
+        vibes: request.vibes,
+        exclude: excludedNames(current),
+        center,
+        radius: request.radius
+      }, { signal, onText: (text) => lines.push(text) });
+      lines.end();
+      await queue;
+      if (failure) throw failure;
+
+      if (!repeated) break;
+    }
+
+    if (parsed === 0) throw new Error('Provider reply had no parsable places');
+    return places;
+  } catch (error) {
+    if (aborted()) return places;
+    console.error(`Recommendation provider "${provider.name}" failed:`, error.message);
+    if (places.length > 0) return places;
+
+    for (const place of await catalogPlaces(request, geocoder)) {
+      if (aborted()) break;
+      await send(place);
+    }
+    return places;
+  }
+}
+
+// Used when the provider fails: curated places for the requested city that
+// match its vibes, marked with source 'catalog'. Repeat requests page through
+// the list. Cities without catalog entries get no places.
+async function catalogPlaces(request, geocoder) {
+  try {
+    const entries = await findCatalogPlaces(request.city, { vibes: request.vibes, exclude: excludedNames(request) });
+    const defaults = { source: 'catalog', fetchedAt: new Date().toISOString() };
+    const places = entries.map((raw) => normalizePlace(raw, defaults)).filter(Boolean);
+    if (places.length === 0) return [];
+
+    const center = await geocode(request.city, geocoder);
+    const nearby = await applyRadius(places, center, request.radius, geocoder);
+    const start = ((request.iteration - 1) * PLACES_PER_REQUEST) % Math.max(nearby.length, 1);
+    return nearby.slice(start).concat(nearby.slice(0, start)).slice(0, PLACES_PER_REQUEST);
+  } catch (error) {
+    console.error(`Catalog lookup failed for "${request.city}":`, error.message);
+    return [];
+  }
+}
+
+// Cache keys start with the city so one city can be purged on its own
+function cityCacheKey(city) {
+  return `${nameKey(city)}|`;
+}
+
+function sortedKeys(names) {
+  return Array.from(new Set(names.map(nameKey))).sort();
+}
+
+// Normalized city, vibes, search context and iteration ("show me more"
+// asks for different places), plus a hash of the places to skip (and the
+// bookmarks the prompt asks for)
+function cacheKey(request) {
+  const vibes = sortedKeys(request.vibes).join(',');
+  const places = [sortedKeys(excludedNames(request)).join('\n'), sortedKeys(request.bookmarked).join('\n')];
+  const hash = crypto.createHash('sha256').update(places.join('\n--\n')).digest('hex').slice(0, 16);
+  return `${cityCacheKey(request.city)}${vibes}|${request.radius || ''}|${request.rainLikely ? 'rain' : ''}|${request.iteration}|${hash}`;
+}
+
+// Catalog fallbacks are never cached, so the next request tries the provider again
+function cacheable(places) {
+  return places.length > 0 && places.every((place) => place.source !== 'catalog');
+}
+
+// Callers add costs and ratings to the places they get; copies keep that
+// out of the cache and out of other requests sharing the same load
+function copyPlaces(places) {
+  return places.map((place) => structuredClone(place));
+}
+
+// recommendPlaces() behind the recommendation cache. Resolves to
+// { places, status, ageMs }.
+async function cachedRecommendPlaces(request, options = {}) {
+  const { value, status, ageMs } = await remember(cacheKey(request), () => recommendPlaces(request, options), {
+    cache: options.cache,
+    shouldStore: cacheable
+  });
+  return { places: copyPlaces(value), status, ageMs };
+}
+
+// streamRecommendPlaces() behind the same cache: a cached answer goes to
+// onPlace all at once, a miss streams from the provider and is cached when
+// it completes. Either way onPlace gets copies. Resolves to { places, status, ageMs }.
+async function streamCachedRecommendPlaces(request, options) {
+  const key = cacheKey(request);
+  const cacheOptions = { cache: options.cache, shouldStore: cacheable };
+
+  const cached = await lookup(key, () => recommendPlaces(request, options), cacheOptions);
+  if (cached) {
+    for (const place of cached.value) {
+      if (options.signal && options.signal.aborted) break;
+      await options.onPlace(structuredClone(place));
+    }
+    return { places: copyPlaces(cached.value), status: cached.status, ageMs: cached.ageMs };
+  }
+
+  const places = await streamRecommendPlaces(request, options);
+  if (!(options.signal && options.signal.aborted)) await store(key, places, cacheOptions);
+  return { places: copyPlaces(places), status: 'MISS', ageMs: 0 };
+}
+
+module.exports = {
+  normalizeRequest,
+  cacheKey,
+  cityCacheKey,
+  cachedRecommendPlaces,
+  streamCachedRecommendPlaces,
+  buildPrompt,
+  parsePlaces,
+  recommendPlaces,
+  streamRecommendPlaces
+};
@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { recommendPlaces, normalizeRequest, parsePlaces, cacheKey, cachedRecommendPlaces, streamCachedRecommendPlaces } = require('./recommender');
+const { getProvider } = require('./llm');
+const { getGeocoder } = require('./geocode');
+const { getCache } = require('./cache');
+
+const mock = getProvider('mock');
+const geocoder = getGeocoder('fixture');
+
+// The mock provider, counting its calls. With `repeatFirst` the first reply
+// ignores the exclusion list, like a model that repeats places it was told to skip.
+function countingMock({ repeatFirst = false } = {}) {
+  const provider = {
+    name: 'mock',
+    calls: 0,
+    generate(prompt, context) {
+      provider.calls++;
+      const ignore = repeatFirst && provider.calls === 1;
+      return mock.generate(prompt, ignore ? { ...context, exclude: [] } : context);
+    },
+    stream(prompt, context, options) {
+      provider.calls++;
+      return mock.stream(prompt, context, options);
+    }
+  };
+  return provider;
+}
+
+test('parses "Name | Description | Distance | ..." lines, markdown and numbering included', () => {
+  const places = parsePlaces([
+    'Here are some places:',
+    '1. **Fort Aguada** | A 17th-century fort. | 18 km | 15.49, 73.77 | 4.5 | Fort',
+    'Name | Description | Distance',
+    '- Calangute Beach | Busy beach. | 15 km'
+  ].join('\n'));
+
+  assert.deepEqual(places.map((p) => p.name), ['Fort Aguada', 'Calangute Beach']);
+  assert.deepEqual(places[0], {
+    name: 'Fort Aguada',
+    description: 'A 17th-century fort.',
+    distance: '18 km',
+    coordinates: '15.49, 73.77',
+    rating: '4.5',
+    category: 'Fort'
+  });
+  assert.equal(places[1].coordinates, undefined);
+});
+
+test('recommends places from the mock provider with fixture coordinates', async () => {
+  const provider = countingMock();
+  const places = await recommendPlaces(normalizeRequest({ city: 'Goa', vibe: 'Beach', radius: 50 }), { provider, geocoder });
+
+  assert.equal(provider.calls, 1);
+  assert.deepEqual(places.map((p) => p.name), ['Goa Beach Spot 1', 'Goa Beach Spot 2', 'Goa Beach Spot 3', 'Goa Beach Spot 4']);
+  const [first] = places;
+  assert.equal(first.description, 'A well-loved beach place in Goa.');
+  assert.equal(first.city, 'Goa');
+  assert.equal(first.distance, 2); // haversine from the fixture's city center
+  assert.equal(first.rating, 4.1);
+  assert.equal(first.category, 'Beach');
+  assert.equal(first.source, 'mock');
+  assert.ok(first.latitude && first.longitude);
+});
+
+test('drops repeated places and asks again for replacements', async () => {
+  const provider = countingMock({ repeatFirst: true });
+  const request = normalizeRequest({ city: 'Goa', vibe: 'Beach', visited: ['Goa Beach Spot 2'], selected: ['goa beach spot 4'] });
+  const places = await recommendPlaces(request, { provider, geocoder });
+
+  assert.equal(provider.calls, 2);
+  assert.deepEqual(places.map((p) => p.name), ['Goa Beach Spot 1', 'Goa Beach Spot 3', 'Goa Beach Spot 5', 'Goa Beach Spot 6']);
+});
+
+test('radius drops places that are too far from the city center', async () => {
+  const places = await recommendPlaces(normalizeRequest({ city: 'Goa', vibe: 'Beach', radius: 5 }), { provider: countingMock(), geocoder });
+  assert.deepEqual(places.map((p) => p.distance), [2, 4]);
+});
+
+// -------------------- Recommendation cache (memory backend) --------------------
+const cache = getCache('memory');
+
+test('cache keys include the iteration, so "more" is not answered with the same places', () => {
+  const first = normalizeRequest({ city: 'Goa', vibe: 'Beach' });
+  const again = normalizeRequest({ city: ' goa ', vibe: 'beach', iteration: 1 });
+  const more = normalizeRequest({ city: 'Goa', vibe: 'Beach', iteration: 2 });
+  assert.equal(cacheKey(first), cacheKey(again));
+  assert.notEqual(cacheKey(first), cacheKey(more));
+});
+
+test('answers a repeat request from the cache until the entry expires', async (t) => {
+  let now = Date.parse('2025-06-01T10:00:00Z');
+  t.mock.method(Date, 'now', () => now);
+  const provider = countingMock();
+  const request = normalizeRequest({ city: 'Hampi', vibe: 'Heritage' });
+
+  const miss = await cachedRecommendPlaces(request, { provider, geocoder, cache });
+  assert.equal(miss.status, 'MISS');
+  assert.equal(provider.calls, 1);
+
+  now += 6 * 60 * 60 * 1000 - 1000; // RECOMMEND_CACHE_TTL defaults to 6 hours
+  const hit = await cachedRecommendPlaces(request, { provider, geocoder, cache });
+  assert.equal(hit.status, 'HIT');
+  assert.equal(hit.ageMs, 6 * 60 * 60 * 1000 - 1000);
+  assert.deepEqual(hit.places, miss.places);
+  assert.equal(provider.calls, 1);
+
+  now += 24 * 60 * 60 * 1000 + 1000; // past the stale window too
+  const expired = await cachedRecommendPlaces(request, { provider, geocoder, cache });
+  assert.equal(expired.status, 'MISS');
+  assert.equal(provider.calls, 2);
+});
+
+test('serves a stale entry at once and refreshes it in the background', async (t) => {
+  let now = Date.parse('2025-06-01T10:00:00Z');
+  t.mock.method(Date, 'now', () => now);
+  const provider = countingMock();
+  const request = normalizeRequest({ city: 'Mysore', vibe: 'Heritage' });
+
+  await cachedRecommendPlaces(request, { provider, geocoder, cache });
+  now += 7 * 60 * 60 * 1000;
+
+  const stale = await cachedRecommendPlaces(request, { provider, geocoder, cache });
+  assert.equal(stale.status, 'STALE');
+  assert.equal(stale.ageMs, 7 * 60 * 60 * 1000);
+
+  for (let i = 0; i < 100 && provider.calls < 2; i++) await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.equal(provider.calls, 2);
+  let refreshed;
+  for (let i = 0; i < 100; i++) {
+    refreshed = await cachedRecommendPlaces(request, { provider, geocoder, cache });
+    if (refreshed.status === 'HIT') break;
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  assert.equal(refreshed.status, 'HIT');
+  assert.equal(refreshed.ageMs, 0);
+  assert.equal(provider.calls, 2);
+});
+
+test('what callers add to cached places never reaches the cache or other callers', async () => {
+  const provider = countingMock();
+  const request = normalizeRequest({ city: 'Pondicherry', vibe: 'Beach' });
+  const options = { provider, geocoder, cache };
+
+  const [a, b] = await Promise.all([cachedRecommendPlaces(request, options), cachedRecommendPlaces(request, options)]);
+  assert.equal(provider.calls, 1); // one load shared by both requests
+  a.places[0].cost = { amount: 500, currency: 'INR' };
+  assert.equal(b.places[0].cost, undefined);
+
+  const streamed = [];
+  const hit = await streamCachedRecommendPlaces(request, {
+    ...options,
+    onPlace: async (place) => {
+      place.cost = { amount: 6, currency: 'USD' };
+      streamed.push(place);
+    }
+  });
+  assert.equal(hit.status, 'HIT');
+  assert.equal(streamed.length, a.places.length);
+  assert.equal(hit.places[0].cost, undefined);
+
+  const again = await cachedRecommendPlaces(request, options);
+  assert.equal(again.places[0].cost, undefined);
+  assert.equal(provider.calls, 1);
+});
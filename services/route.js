@@ -0,0 +1,95 @@
+const { haversineKm, hasCoordinates } = require('./geo');
+
+const DEFAULT_SPEED_KMH = 20; // average city traffic, door to door
+
+// Length of an open path [start, p1, p2, ...] in km
+function pathKm(path) {
+  let total = 0;
+  for (let i = 1; i < path.length; i++) total += haversineKm(path[i - 1], path[i]);
+  return total;
+}
+
+// Greedy first pass: always walk to the closest unvisited stop
+function nearestNeighbour(start, stops) {
+  const remaining = stops.slice();
+  const path = [start];
+
+  while (remaining.length > 0) {
+    const here = path[path.length - 1];
+    let best = 0;
+    for (let i = 1; i < remaining.length; i++) {
+      if (haversineKm(here, remaining[i]) < haversineKm(here, remaining[best])) best = i;
+    }
+    path.push(remaining.splice(best, 1)[0]);
+  }
+
+  return path;
+}
+
+// 2-opt on an open path with a fixed start: reverse path[i..k] whenever that
+// shortens it, until no reversal helps
+function twoOpt(path) {
+  const route = path.slice();
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+    for (let i = 1; i < route.length - 1; i++) {
+      for (let k = i + 1; k < route.length; k++) {
+        const a = route[i - 1];
+        const b = route[i];
+        const c = route[k];
+        const d = route[k + 1];
+        const before = haversineKm(a, b) + (d ? haversineKm(c, d) : 0);
+        const after = haversineKm(a, c) + (d ? haversineKm(b, d) : 0);
+
+        if (after < before - 1e-9) {
+          const reversed = route.slice(i, k + 1).reverse();
+          route.splice(i, reversed.length, ...reversed);
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return route;
+}
+
+/**
+ * Order a day's places into a short visiting sequence from `start`.
+ * Places without coordinates cannot be routed and keep their relative
+ * order at the end.
+ *
+ * @param {{ latitude: number, longitude: number }} start - hotel or city center
+ * @param {Array<object>} places - Place objects (see services/place.js)
+ * @param {{ speedKmh?: number }} [options]
+ * @returns {{ places: Array<object>, legs: Array<{ from: string, to: string, km: number }>,
+ *             totalKm: number, travelMinutes: number, unlocated: number }}
+ */
+function optimizeRoute(start, places, { speedKmh = DEFAULT_SPEED_KMH } = {}) {
+  const located = places.filter(hasCoordinates);
+  const unlocated = places.filter((place) => !hasCoordinates(place));
+
+  const origin = { name: start.name || 'Start', latitude: start.latitude, longitude: start.longitude };
+  const path = twoOpt(nearestNeighbour(origin, located));
+  const totalKm = pathKm(path);
+
+  const legs = [];
+  for (let i = 1; i < path.length; i++) {
+    legs.push({
+      from: path[i - 1].name,
+      to: path[i].name,
+      km: Math.round(haversineKm(path[i - 1], path[i]) * 10) / 10
+    });
+  }
+
+  return {
+    places: path.slice(1).concat(unlocated),
+    legs,
+    totalKm: Math.round(totalKm * 10) / 10,
+    travelMinutes: Math.round((totalKm / speedKmh) * 60),
+    unlocated: unlocated.length
+  };
+}
+
+module.exports = { optimizeRoute, pathKm };
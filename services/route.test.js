@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { optimizeRoute, pathKm } = require('./route');
+
+// Points are given in hundredths of a degree (about 1.1 km apart per step)
+function place(name, lat, lng) {
+  return { name, latitude: lat / 100, longitude: lng / 100 };
+}
+
+const start = { name: 'Hotel', latitude: 0, longitude: 0 };
+const names = (places) => places.map((p) => p.name);
+
+// True when segments ab and cd properly intersect
+function crosses(a, b, c, d) {
+  const side = (p, q, r) => (r.latitude - p.latitude) * (q.longitude - p.longitude) -
+    (q.latitude - p.latitude) * (r.longitude - p.longitude);
+  return side(a, b, c) * side(a, b, d) < 0 && side(c, d, a) * side(c, d, b) < 0;
+}
+
+function hasCrossing(path) {
+  for (let i = 0; i < path.length - 1; i++) {
+    for (let k = i + 2; k < path.length - 1; k++) {
+      if (crosses(path[i], path[i + 1], path[k], path[k + 1])) return true;
+    }
+  }
+  return false;
+}
+
+test('walks to the nearest place first from the start point', () => {
+  const route = optimizeRoute(start, [place('Far', 0, 3), place('Near', 0, 1), place('Middle', 0, 2)]);
+  assert.deepEqual(names(route.places), ['Near', 'Middle', 'Far']);
+  assert.deepEqual(route.legs.map((leg) => [leg.from, leg.to]), [['Hotel', 'Near'], ['Near', 'Middle'], ['Middle', 'Far']]);
+});
+
+test('2-opt removes a crossing left by the nearest-neighbour pass', () => {
+  const a = place('A', 2, 2);
+  const b = place('B', 1, 1);
+  const c = place('C', 3, 0);
+  const d = place('D', 0, 4);
+  // Nearest neighbour alone walks B, A, C, D, where C -> D crosses B -> A
+  const greedy = [start, b, a, c, d];
+  assert.ok(hasCrossing(greedy));
+
+  const route = optimizeRoute(start, [a, b, c, d]);
+  assert.deepEqual(names(route.places), ['B', 'C', 'A', 'D']);
+  assert.ok(!hasCrossing([start, ...route.places]));
+  assert.ok(route.totalKm < pathKm(greedy));
+});
+
+test('keeps places without coordinates at the end, in their original order', () => {
+  const route = optimizeRoute(start, [
+    { name: 'Unknown 1' },
+    place('Far', 0, 2),
+    { name: 'Unknown 2', latitude: null, longitude: null },
+    place('Near', 0, 1)
+  ]);
+  assert.deepEqual(names(route.places), ['Near', 'Far', 'Unknown 1', 'Unknown 2']);
+  assert.equal(route.unlocated, 2);
+  assert.equal(route.legs.length, 2);
+});
+
+test('an empty day has no route', () => {
+  const route = optimizeRoute(start, []);
+  assert.deepEqual(route.places, []);
+  assert.equal(route.totalKm, 0);
+  assert.equal(route.travelMinutes, 0);
+  assert.deepEqual(route.legs, []);
+});
+
+test('rounds distances to 0.1 km and travel time to whole minutes', () => {
+  // 0.1 degree of longitude at the equator is 11.12 km
+  const stops = [place('Fort', 0, 10)];
+
+  const route = optimizeRoute(start, stops);
+  assert.equal(route.totalKm, 11.1);
+  assert.equal(route.legs[0].km, 11.1);
+  assert.equal(route.travelMinutes, 33); // 11.12 km at 20 km/h = 33.4 min
+
+  assert.equal(optimizeRoute(start, stops, { speedKmh: 30 }).travelMinutes, 22); // 22.2 min
+});
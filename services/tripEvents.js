@@ -0,0 +1,66 @@
+// -------------------- Trip events --------------------
+// Live updates for planners open on the same trip. Routes publish what they
+// saved and GET /api/trips/:id/events streams it to every open planner as
+// Server-Sent Events. Each event carries the trip's `version` after the save:
+//
+//   place-added | place-removed | places-reordered   { dayNumber, places }
+//   day-updated        { dayNumber, status, notes }   (completion, notes)
+//   candidates         { dayNumber, candidates }      (suggestions and votes)
+//   trip-updated       {}                             (dates, budget, members: reload)
+//   trip-deleted       {}
+//
+// plus `client`, the X-Client-Id of the planner tab that made the change, so
+// that tab can skip its own echo. Subscribers live in this process, like the
+// rate-limit counters; several server instances would need a shared pub/sub.
+
+const subscribers = new Map(); // tripId -> Set of send(event)
+
+// Calls send(event, trip) for every event published on the trip until the
+// returned function is called. `trip` is the document as saved, so a stream
+// can check the subscriber is still a member.
+function subscribe(tripId, send) {
+  const key = String(tripId);
+  if (!subscribers.has(key)) subscribers.set(key, new Set());
+  subscribers.get(key).add(send);
+
+  return () => {
+    const listeners = subscribers.get(key);
+    if (!listeners) return;
+    listeners.delete(send);
+    if (listeners.size === 0) subscribers.delete(key);
+  };
+}
+
+function publish(trip, event) {
+  const listeners = subscribers.get(String(trip._id));
+  if (!listeners) return;
+
+  const message = { ...event, version: trip.version };
+  listeners.forEach((send) => {
+    try {
+      send(message, trip);
+    } catch (error) {
+      console.error('Trip event delivery failed:', error.message);
+    }
+  });
+}
+
+// What a save did to a day's place list: 'place-added', 'place-removed',
+// 'places-reordered' or null when nothing changed. Adds win over removals
+// when one save does both.
+function placesChange(beforeIds, afterIds) {
+  const before = new Set(beforeIds);
+  const after = new Set(afterIds);
+  if (afterIds.some((id) => !before.has(id))) return 'place-added';
+  if (beforeIds.some((id) => !after.has(id))) return 'place-removed';
+  if (beforeIds.join('\n') !== afterIds.join('\n')) return 'places-reordered';
+  return null;
+}
+
+// Client id sent by the planner with its saves
+function clientOf(req) {
+  const id = String(req.get('X-Client-Id') || '');
+  return /^[\w-]{1,64}$/.test(id) ? id : null;
+}
+
+module.exports = { subscribe, publish, placesChange, clientOf };
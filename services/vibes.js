@@ -0,0 +1,85 @@
+// -------------------- Vibe taxonomy --------------------
+// The one list of vibes offered by front.html, the planner and the profile
+// page (served by GET /vibes). Each vibe has:
+//
+//   id:         'historic'                stable slug
+//   label:      'Historic'                what the pages show and send
+//   icon:       '🏛️'
+//   synonyms:   ['Historical', ...]       other names that mean the same vibe
+//   categories: ['Historic']              place categories that fit the vibe
+//   setting:    'indoor' | 'outdoor' | 'mixed'   rainy days favour indoor vibes
+//
+// Add a vibe here and every page picks it up.
+const { placeId } = require('./place');
+
+const VIBES = [
+  { id: 'historic', label: 'Historic', icon: '🏛️', synonyms: ['Historical', 'Heritage', 'History'], categories: ['Historic'], setting: 'mixed' },
+  { id: 'foodie', label: 'Foodie', icon: '🍜', synonyms: ['Food', 'Cuisine', 'Street Food'], categories: ['Foodie'], setting: 'indoor' },
+  { id: 'beach', label: 'Beach', icon: '🏖️', synonyms: ['Beaches', 'Coast', 'Seaside'], categories: ['Beach'], setting: 'outdoor' },
+  { id: 'nature', label: 'Nature', icon: '🌿', synonyms: ['Outdoors', 'Parks', 'Greenery'], categories: ['Nature'], setting: 'outdoor' },
+  { id: 'art-culture', label: 'Art & Culture', icon: '🎨', synonyms: ['Cultural', 'Culture', 'Art', 'Museums'], categories: ['Art & Culture', 'Historic'], setting: 'indoor' },
+  { id: 'shopping', label: 'Shopping', icon: '🛍️', synonyms: ['Markets', 'Shops'], categories: ['Shopping'], setting: 'indoor' },
+  { id: 'nightlife', label: 'Nightlife', icon: '🌃', synonyms: ['Bars', 'Clubs', 'Party'], categories: ['Nightlife'], setting: 'mixed' },
+  { id: 'wellness', label: 'Wellness', icon: '🧘', synonyms: ['Spa', 'Yoga', 'Relaxation'], categories: ['Wellness'], setting: 'indoor' },
+  { id: 'adventurous', label: 'Adventurous', icon: '🧗', synonyms: ['Adventure', 'Hiking', 'Trekking'], categories: ['Adventure', 'Nature'], setting: 'outdoor' },
+  { id: 'romantic', label: 'Romantic', icon: '💞', synonyms: ['Couples', 'Honeymoon'], categories: ['Nature', 'Beach', 'Foodie'], setting: 'mixed' },
+  { id: 'peaceful', label: 'Peaceful', icon: '🕊️', synonyms: ['Quiet', 'Calm', 'Relaxing'], categories: ['Nature', 'Wellness', 'Spiritual'], setting: 'mixed' },
+  { id: 'photography', label: 'Photography', icon: '📷', synonyms: ['Photo', 'Scenic', 'Views'], categories: ['Viewpoint', 'Historic', 'Nature'], setting: 'outdoor' },
+  { id: 'solo', label: 'Solo', icon: '🎒', synonyms: ['Solo Travel', 'Backpacking'], categories: ['Art & Culture', 'Nature', 'Foodie'], setting: 'mixed' }
+];
+
+// slug of id, label or synonym -> vibe
+const byKey = new Map();
+VIBES.forEach((vibe) => {
+  [vibe.id, vibe.label].concat(vibe.synonyms).forEach((name) => byKey.set(placeId(name), vibe));
+});
+
+function listVibes() {
+  return VIBES.map((vibe) => ({ ...vibe, synonyms: vibe.synonyms.slice(), categories: vibe.categories.slice() }));
+}
+
+// 'Historical', 'historic' and 'HISTORIC' all find the Historic vibe; null when unknown
+function findVibe(name) {
+  return byKey.get(placeId(String(name || ''))) || null;
+}
+
+// Known vibes become their label; anything else is kept as typed. No duplicates.
+function canonicalVibes(names) {
+  const seen = new Set();
+  return names.map((name) => {
+    const vibe = findVibe(name);
+    return vibe ? vibe.label : String(name).trim();
+  }).filter((label) => {
+    const key = placeId(label);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Place categories that fit any of the vibes
+function categoriesFor(names) {
+  const categories = names.flatMap((name) => {
+    const vibe = findVibe(name);
+    return vibe ? vibe.categories : [];
+  });
+  return Array.from(new Set(categories));
+}
+
+// True when the place is tagged with one of the vibes (under any name) or
+// its category is one the vibes map to
+function matchesVibes(place, names) {
+  const wanted = new Set(names.map((name) => (findVibe(name) || { id: placeId(name) }).id));
+  const tagged = (place.vibes || []).some((name) => wanted.has((findVibe(name) || { id: placeId(name) }).id));
+  if (tagged) return true;
+  const category = placeId(place.category || '');
+  return categoriesFor(names).some((name) => placeId(name) === category);
+}
+
+module.exports = {
+  listVibes,
+  findVibe,
+  canonicalVibes,
+  categoriesFor,
+  matchesVibes
+};
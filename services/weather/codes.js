@@ -0,0 +1,31 @@
+// WMO weather interpretation codes (used by Open-Meteo) -> label and icon
+const CODES = {
+  0: ['Clear sky', '☀️'],
+  1: ['Mainly clear', '🌤️'],
+  2: ['Partly cloudy', '⛅'],
+  3: ['Overcast', '☁️'],
+  45: ['Fog', '🌫️'],
+  48: ['Fog', '🌫️'],
+  51: ['Light drizzle', '🌦️'],
+  53: ['Drizzle', '🌦️'],
+  55: ['Heavy drizzle', '🌧️'],
+  61: ['Light rain', '🌦️'],
+  63: ['Rain', '🌧️'],
+  65: ['Heavy rain', '🌧️'],
+  71: ['Light snow', '🌨️'],
+  73: ['Snow', '🌨️'],
+  75: ['Heavy snow', '❄️'],
+  80: ['Rain showers', '🌦️'],
+  81: ['Rain showers', '🌧️'],
+  82: ['Violent showers', '⛈️'],
+  95: ['Thunderstorm', '⛈️'],
+  96: ['Thunderstorm with hail', '⛈️'],
+  99: ['Thunderstorm with hail', '⛈️']
+};
+
+function describe(code) {
+  const [conditions, icon] = CODES[code] || ['Unknown', '🌡️'];
+  return { conditions, icon };
+}
+
+module.exports = { describe };
@@ -0,0 +1,21 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Offline stand-in: reads <city>.json from WEATHER_FIXTURE_DIR (default ./fixtures).
+// Each file holds { "days": [{ date, weatherCode, high, low, rainChance }] }.
+async function forecast(point, startDate, endDate) {
+  const dir = process.env.WEATHER_FIXTURE_DIR || path.join(__dirname, 'fixtures');
+  const slug = String(point.city || '').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(path.join(dir, `${slug}.json`), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return (data.days || []).filter((day) => day.date >= startDate && day.date <= endDate);
+}
+
+module.exports = { name: 'file', forecast };
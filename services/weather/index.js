@@ -0,0 +1,55 @@
+const openMeteo = require('./openMeteo');
+const file = require('./file');
+const { describe } = require('./codes');
+
+const providers = { 'open-meteo': openMeteo, file };
+// LRU of forecasts (see services/cache/memory.js), one per trip place and date range
+const cache = new Map(); // key -> { at, days }
+const CACHE_SIZE = 1000;
+const CACHE_MS = 3 * 60 * 60 * 1000; // forecasts are refreshed a few times a day
+const RAIN_LIKELY_PERCENT = 50;
+
+// Pick the forecast provider by name, defaulting to WEATHER_PROVIDER (or Open-Meteo).
+// Every provider exposes forecast({ city, latitude, longitude }, startDate, endDate)
+// -> Promise<Array<{ date, weatherCode, high, low, rainChance }>> with YYYY-MM-DD dates.
+function getWeatherProvider(name = process.env.WEATHER_PROVIDER || 'open-meteo') {
+  const provider = providers[String(name).toLowerCase()];
+  if (!provider) throw new Error(`Unsupported WEATHER_PROVIDER: ${name}`);
+  return provider;
+}
+
+function toDay(raw) {
+  const rainChance = raw.rainChance == null ? null : Math.round(raw.rainChance);
+  return {
+    date: raw.date,
+    ...describe(raw.weatherCode),
+    high: raw.high == null ? null : Math.round(raw.high),
+    low: raw.low == null ? null : Math.round(raw.low),
+    rainChance,
+    rainLikely: rainChance != null && rainChance >= RAIN_LIKELY_PERCENT
+  };
+}
+
+// Daily forecast for a point, cached per provider/place/range; failures resolve
+// to [] so the planner simply shows no weather
+async function getForecast(point, startDate, endDate, provider = getWeatherProvider()) {
+  const key = `${provider.name}:${point.latitude},${point.longitude}:${startDate}:${endDate}`;
+  const hit = cache.get(key);
+  cache.delete(key);
+  if (hit && Date.now() - hit.at < CACHE_MS) {
+    cache.set(key, hit);
+    return hit.days;
+  }
+
+  try {
+    const days = (await provider.forecast(point, startDate, endDate)).map(toDay);
+    cache.set(key, { at: Date.now(), days });
+    while (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+    return days;
+  } catch (error) {
+    console.error(`Weather provider "${provider.name}" failed for ${point.city || key}:`, error.message);
+    return [];
+  }
+}
+
+module.exports = { getWeatherProvider, getForecast };
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const file = require('./file');
+const { getWeatherProvider, getForecast } = require('./index');
+
+// The file provider reading services/weather/fixtures, counting real lookups
+function countingProvider() {
+  const provider = {
+    name: 'file',
+    calls: 0,
+    forecast(...args) {
+      provider.calls++;
+      return file.forecast(...args);
+    }
+  };
+  return provider;
+}
+
+const bangalore = (latitude = 12.97) => ({ city: 'Bangalore', latitude, longitude: 77.59 });
+
+test('WEATHER_PROVIDER=file picks the fixture provider', () => {
+  assert.equal(getWeatherProvider('file'), file);
+  assert.throws(() => getWeatherProvider('sunny'), /Unsupported WEATHER_PROVIDER: sunny/);
+});
+
+test('reads the fixture days in range and flags likely rain', async () => {
+  const days = await getForecast(bangalore(1), '2025-06-02', '2025-06-03', countingProvider());
+  assert.deepEqual(days.map((day) => day.date), ['2025-06-02', '2025-06-03']);
+  assert.deepEqual(days[1], {
+    date: '2025-06-03',
+    conditions: 'Light rain',
+    icon: '🌦️',
+    high: 31,
+    low: 22,
+    rainChance: 65,
+    rainLikely: true
+  });
+  assert.equal(days[0].rainLikely, false);
+
+  const unknown = await getForecast({ city: 'Atlantis', latitude: 0, longitude: 0 }, '2025-06-01', '2025-06-03', countingProvider());
+  assert.deepEqual(unknown, []);
+});
+
+test('answers repeat lookups from the cache until it is 3 hours old', async (t) => {
+  let now = Date.parse('2025-06-01T06:00:00Z');
+  t.mock.method(Date, 'now', () => now);
+  const provider = countingProvider();
+
+  const first = await getForecast(bangalore(2), '2025-06-01', '2025-06-02', provider);
+  now += 3 * 60 * 60 * 1000 - 1;
+  assert.equal(await getForecast(bangalore(2), '2025-06-01', '2025-06-02', provider), first);
+  assert.equal(provider.calls, 1);
+
+  now += 1;
+  assert.deepEqual(await getForecast(bangalore(2), '2025-06-01', '2025-06-02', provider), first);
+  assert.equal(provider.calls, 2);
+});
+
+test('keeps the 1,000 most recently used forecasts', async () => {
+  const provider = countingProvider();
+  const lookup = (i) => getForecast(bangalore(100 + i), '2025-06-01', '2025-06-01', provider);
+
+  for (let i = 0; i < 1000; i++) await lookup(i);
+  await lookup(0); // now the most recently used
+  await lookup(1000); // evicts the least recently used, entry 1
+  assert.equal(provider.calls, 1001);
+
+  await lookup(0);
+  assert.equal(provider.calls, 1001);
+  await lookup(1);
+  assert.equal(provider.calls, 1002);
+});
@@ -0,0 +1,42 @@
+const axios = require('axios');
+
+const FORECAST_DAYS = 16;
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Open-Meteo daily forecast (free, no key). It rejects dates outside its
+// window, so the range is clipped to today .. today + 15 days first.
+async function forecast({ latitude, longitude }, startDate, endDate) {
+  const today = new Date();
+  const first = isoDate(today);
+  const last = isoDate(new Date(today.getTime() + (FORECAST_DAYS - 1) * 86400000));
+  if (startDate < first) startDate = first;
+  if (endDate > last) endDate = last;
+  if (startDate > endDate) return [];
+
+  const baseUrl = process.env.OPEN_METEO_URL || 'https://api.open-meteo.com/v1';
+  const response = await axios.get(`${baseUrl}/forecast`, {
+    params: {
+      latitude,
+      longitude,
+      daily: 'weather_code,temperature_2m_max,temperature_2m_min,precipitation_probability_max',
+      timezone: 'auto',
+      start_date: startDate,
+      end_date: endDate
+    },
+    timeout: 10000
+  });
+
+  const daily = response.data.daily || {};
+  return (daily.time || []).map((date, i) => ({
+    date,
+    weatherCode: daily.weather_code[i],
+    high: daily.temperature_2m_max[i],
+    low: daily.temperature_2m_min[i],
+    rainChance: daily.precipitation_probability_max[i]
+  }));
+}
+
+module.exports = { name: 'open-meteo', forecast };
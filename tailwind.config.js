@@ -0,0 +1,10 @@
+// Tailwind build for the pages in public/ (npm run build:css)
+module.exports = {
+  content: ['./public/**/*.html', './public/js/**/*.js'],
+  // showToast() builds bg-${color}-500 at runtime
+  safelist: ['bg-green-500', 'bg-red-500', 'bg-blue-500', 'bg-yellow-500'],
+  theme: {
+    extend: {}
+  },
+  plugins: []
+};